@@ -1,21 +1,64 @@
 /* Quantum Composer – React Frontend (Redesigned) */
 
-const { useState, useCallback, useEffect, useRef } = React;
+const { useState, useCallback, useEffect, useMemo, useRef } = React;
+const {
+  MIN_STEPS, emptyGrid, lastUsedColumn, withWidth, fitColumns, cellToOp,
+  buildSteps, buildProgram, makeRect, inRect, subcircuitFromGrid, clipFromGrid,
+  blockCells, sameBlock, gateCells, moveGate, pasteClip, clearRect,
+  insertColumn, deleteColumn, compactGrid, gatesBeyond, resizeGrid,
+  permuteWires, wireMove,
+} = QGrid;
 
 // ── Constants ──────────────────────────────────────────────────────
-const MAX_QUBITS = 4;
-const MAX_STEPS  = 10;
+const MAX_QUBITS = QSim.MAX_QUBITS;
 
-const SINGLE_GATES   = ["H", "X", "Y", "Z", "S", "T"];
-const ROTATION_GATES = ["Rx", "Ry", "Rz"];
-const MULTI_GATES    = ["CX", "CCX"];
-const ALL_GATES      = [...SINGLE_GATES, ...ROTATION_GATES, ...MULTI_GATES];
+const SINGLE_GATES   = ["H", "X", "Y", "Z", "S", "T", "Sdg", "Tdg", "SX"];
+const ROTATION_GATES = ["Rx", "Ry", "Rz", "U3"];
+const MULTI_GATES    = ["CX", "CY", "CZ", "CH", "CRx", "CRy", "CRz", "CP", "SWAP", "CCX"];
+const MEASURE_GATES  = ["M"];
+const ALL_GATES      = [...SINGLE_GATES, ...ROTATION_GATES, ...MULTI_GATES, ...MEASURE_GATES];
+
+// Angle parameters per gate: [op field, symbol]
+const GATE_PARAMS = {
+  Rx: [["angle", "θ"]], Ry: [["angle", "θ"]], Rz: [["angle", "θ"]],
+  U3: [["theta", "θ"], ["phi", "φ"], ["lambda", "λ"]],
+  CRx: [["angle", "θ"]], CRy: [["angle", "θ"]], CRz: [["angle", "θ"]],
+  CP: [["angle", "λ"]],
+};
+const PARAM_FIELDS = ["angle", "theta", "phi", "lambda"];
+const WIRE_FIELDS  = ["control", "control1", "control2", "target", "target2"];
+const GATE_TITLES  = { CX: "CX (CNOT)", CCX: "CCX (Toffoli)", CP: "CP (controlled phase)" };
+// Typing one of these on a grid cell places the gate (Shift for the daggers)
+const GATE_KEYS    = { h: "H", x: "X", y: "Y", z: "Z", s: "S", S: "Sdg", t: "T", T: "Tdg", m: "M", c: "CX" };
+
+const SHOT_OPTIONS  = [128, 512, 1024, 4096, 8192];
+const DEFAULT_SHOTS = 1024;
+
+const NOISE_MODELS = [
+  { id: "none",             label: "Ideal" },
+  { id: "depolarizing",     label: "Depolarizing" },
+  { id: "amplitudeDamping", label: "Amplitude damping" },
+  { id: "phaseDamping",     label: "Phase damping" },
+  { id: "bitFlip",          label: "Bit flip" },
+  { id: "phaseFlip",        label: "Phase flip" },
+];
+const DEFAULT_NOISE = { model: "none", strength: 0.02, readout: 0 };
 
 const USE_SERVER_FALLBACK = false;
 
 const API_URL = "/simulate";
 const STORAGE_KEY = "qc_saved_circuits";
+const UNREADABLE_KEY = "qc_saved_circuits_unreadable";
+const GATES_KEY = "qc_custom_gates";
+const BLOCKS_KEY = "qc_subcircuits";
+const OBSERVABLES_KEY = "qc_observables";
 const DEBOUNCE_MS = 800;
+const PARAM_DEBOUNCE_MS = 100; // slider drags should feel live
+const HISTORY_LIMIT = 100;
+const CELL_MIME = "application/x-qc-cell"; // drag data of a placed gate: "row,col"
+const WIRE_MIME = "application/x-qc-wire"; // drag data of a wire label: its row
+const ZOOM_LEVELS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+const CELL_PX = 56; // narrowest column at 100% zoom
 
 // ── Phase helpers ──────────────────────────────────────────────────
 
@@ -48,126 +91,1281 @@ function phaseToColor(rad) {
   return `hsl(${hue % 360}, 75%, 55%)`;
 }
 
-// ── Grid helpers ───────────────────────────────────────────────────
-function emptyGrid(nQubits) {
-  return Array.from({ length: nQubits }, () => Array(MAX_STEPS).fill(null));
+// ── Cell display ───────────────────────────────────────────────────
+// "0.79" or "1.57,0.00,3.14" for the angle parameters of a cell.
+// Symbolic angles are shown as written, with pi as π.
+function formatParams(cell, gate) {
+  return GATE_PARAMS[gate].map(([f]) => formatAngle(cell[f])).join(",");
+}
+
+function formatAngle(v) {
+  if (v == null) return "?";
+  return typeof v === "string" ? v.replace(/\s+/g, "").replace(/\bpi\b/gi, "π") : v.toFixed(2);
+}
+
+// Label and class list for a placed cell.
+function cellView(cell, cls) {
+  const g = cell.gate;
+  let display;
+  if (cell.custom) {
+    display = cell.role ? <React.Fragment>{g}<sub>{cell.role === "tgt" ? 0 : 1}</sub></React.Fragment> : g;
+    cls += " cell-custom";
+  } else if (MULTI_GATES.includes(g)) {
+    const base = g.slice(1);
+    if (cell.role.startsWith("ctrl") || g === "CZ") { display = "●"; cls += " cell-control"; }
+    else if (g === "SWAP") { display = "✕"; cls += " cell-swap"; }
+    else if (g === "CX" || g === "CCX") { display = "⊕"; cls += " cell-target"; }
+    else if (GATE_PARAMS[g]) { display = `${base}(${formatParams(cell, g)})`; cls += " cell-rotation"; }
+    else { display = base; cls += " cell-gate"; }
+  } else if (GATE_PARAMS[g]) {
+    display = g === "U3" ? g : `${g}(${formatParams(cell, g)})`;
+    cls += " cell-rotation";
+  } else if (g === "M") {
+    display = <React.Fragment>M<sub>c{cell.cbit}</sub></React.Fragment>;
+    cls += " cell-measure";
+  } else {
+    display = g;
+    cls += " cell-gate";
+  }
+  return { display, cls: cls + " cell-placed" };
+}
+
+// Screen-reader text for a placed cell, e.g. "CX control, control q0, target q1".
+const ROLE_NAMES = { ctrl: "control", ctrl1: "control", ctrl2: "control", tgt: "target", tgt2: "target" };
+
+function describeCell(cell) {
+  const g = cell.gate;
+  if (g === "M") return `measure into c${cell.cbit}`;
+  const name = GATE_PARAMS[g] ? `${g}(${formatParams(cell, g)})` : g;
+  if (!cell.role) return name;
+  const wires = WIRE_FIELDS.filter(f => cell[f] != null).map(f => `${f.replace(/\d$/, "")} q${cell[f]}`);
+  return `${name} ${ROLE_NAMES[cell.role]}, ${wires.join(", ")}`;
+}
+
+// ── Validation ─────────────────────────────────────────────────────
+// lintGrid checks the grid on every edit. Errors are grids that don't
+// mean what they show (a gate missing a partner cell, two gates claiming
+// one wire, wires the circuit doesn't have, invalid cbits); warnings are
+// valid but probably unintended (a pair that cancels, a rotation that does
+// nothing). Each issue is { level, message, cells: [[row, col]] }.
+const ROLE_FIELDS = { ctrl: "control", ctrl1: "control1", ctrl2: "control2", tgt: "target", tgt2: "target2" };
+const SELF_INVERSE = ["H", "X", "Y", "Z", "CX", "CY", "CZ", "CH", "SWAP", "CCX"];
+const SYMMETRIC = ["CZ", "SWAP"]; // wire order doesn't matter
+// Angle after which each rotation is the identity again (up to global
+// phase); the controlled ones need 4π, as CRx(2π) is Z on the control.
+const ROTATION_PERIOD = { Rx: 2 * Math.PI, Ry: 2 * Math.PI, Rz: 2 * Math.PI, CP: 2 * Math.PI,
+                          CRx: 4 * Math.PI, CRy: 4 * Math.PI, CRz: 4 * Math.PI };
+const LINT_EPS = 1e-9;
+
+// Key equal for two cells that are the same gate on the same wires.
+function cancelKey(cell, row) {
+  const op = cellToOp(cell, row);
+  if (!SYMMETRIC.includes(cell.gate)) return JSON.stringify(op);
+  return cell.gate + ":" + WIRE_FIELDS.filter(f => op[f] != null).map(f => op[f]).sort((a, b) => a - b).join(",");
 }
 
-function buildProgram(grid) {
-  const program = [];
+// `subcircuits` and `customGates` are the definitions placed cells may
+// name; undo can bring back cells whose definition has since been deleted.
+function lintGrid(grid, qubitCount, subcircuits, customGates) {
+  const issues = [];
+  const error = (message, cells) => issues.push({ level: "error", message, cells });
+  const warn = (message, cells) => issues.push({ level: "warning", message, cells });
+  const width = grid.length ? grid[0].length : 0;
+
+  if (grid.length !== qubitCount) {
+    const extra = [];
+    grid.slice(qubitCount).forEach((cells, i) => cells.forEach((c, k) => { if (c) extra.push([qubitCount + i, k]); }));
+    error(`The grid has ${grid.length} wires but the circuit has ${qubitCount} qubits`, extra);
+  }
+  grid.forEach((cells, r) => {
+    if (cells.length !== width) error(`Wire q${r} has ${cells.length} columns instead of ${width}`, []);
+  });
+
+  // Each gate once: its cells, as gateCells finds them.
   const seen = new Set();
-  for (let col = 0; col < MAX_STEPS; col++) {
-    for (let row = 0; row < grid.length; row++) {
-      const cell = grid[row][col];
-      if (!cell) continue;
-      const g = cell.gate.toLowerCase();
-      if (g === "cx") {
-        const key = `cx-${col}-${cell.control}-${cell.target}`;
-        if (seen.has(key)) continue;
-        seen.add(key);
-        program.push({ gate: g, control: cell.control, target: cell.target });
-      } else if (g === "ccx") {
-        const key = `ccx-${col}-${cell.control1}-${cell.control2}-${cell.target}`;
-        if (seen.has(key)) continue;
-        seen.add(key);
-        program.push({ gate: g, control1: cell.control1, control2: cell.control2, target: cell.target });
-      } else if (["rx", "ry", "rz"].includes(g)) {
-        program.push({ gate: g, target: row, angle: cell.angle });
-      } else {
-        program.push({ gate: g, target: row });
+  const gates = [];
+  for (let c = 0; c < width; c++) {
+    grid.forEach((cells, r) => {
+      const cell = cells[c];
+      if (!cell || seen.has(`${r}-${c}`)) return;
+      const own = gateCells(grid, r, c);
+      own.forEach(([gr, gc]) => seen.add(`${gr}-${gc}`));
+      gates.push({ row: r, col: c, cell, cells: own });
+    });
+  }
+
+  const paired = new Set();
+  for (const g of gates) {
+    const { row, col, cell } = g;
+    const name = cell.gate;
+    const at = `${name} at t${col}`;
+    if (cell.block) {
+      if (!(subcircuits || []).some(d => d.name === name)) error(`Sub-circuit ${at} no longer exists`, g.cells);
+      continue;
+    }
+    if (cell.custom && !(customGates || []).some(d => d.name === name)) error(`Gate ${at} is no longer defined`, g.cells);
+
+    // The classical register may be larger than the quantum one (QASM
+    // imports keep their creg), so only impossible bits are errors.
+    if (cell.gate === "M" && !(Number.isInteger(cell.cbit) && cell.cbit >= 0)) {
+      error(`${at} writes c${cell.cbit}, which isn't a classical bit`, g.cells);
+    }
+
+    // Every wire a multi-qubit gate names must hold its matching cell.
+    if (cell.role) {
+      for (const [r, c] of g.cells) {
+        const own = grid[r][c];
+        if (own[ROLE_FIELDS[own.role]] !== r) error(`${at}: the cell on q${r} is wired to q${own[ROLE_FIELDS[own.role]]}`, [[r, c]]);
+      }
+      for (const role of Object.keys(ROLE_FIELDS)) {
+        const w = cell[ROLE_FIELDS[role]];
+        if (w == null || g.cells.some(([r]) => r === w)) continue;
+        const what = ROLE_NAMES[role];
+        if (!(w >= 0 && w < grid.length)) { error(`${at} is wired to q${w}, which doesn't exist`, g.cells); continue; }
+        const other = grid[w][col];
+        if (!other) error(`${at} is missing its ${what} on q${w}`, g.cells);
+        else error(`${at} needs q${w} for its ${what}, but ${other.block ? "sub-circuit " : ""}${other.gate} is there`, [...g.cells, [w, col]]);
+      }
+    }
+
+    const period = ROTATION_PERIOD[name];
+    if (period && typeof cell.angle === "number") {
+      const turns = Math.abs(cell.angle) / period;
+      if (Math.abs(turns - Math.round(turns)) < LINT_EPS) warn(`${name}(${angleText(cell.angle)}) at t${col} does nothing`, g.cells);
+    }
+
+    // A self-inverse gate followed directly by itself on the same wires.
+    if (SELF_INVERSE.includes(name) && !cell.custom && !paired.has(g)) {
+      const rows = g.cells.map(([r]) => r);
+      const nexts = rows.map(r => { let c = col + 1; while (c < width && !grid[r][c]) c++; return c; });
+      const next = nexts[0];
+      if (next < width && nexts.every(c => c === next)) {
+        const key = cancelKey(cell, row);
+        const partner = gates.find(h => h.col === next && h.cells.some(([r]) => r === row));
+        if (partner && !partner.cell.block && partner.cells.length === rows.length && cancelKey(partner.cell, partner.row) === key) {
+          paired.add(partner);
+          warn(`${name}·${name} at t${col} and t${next} cancel out`, [...g.cells, ...partner.cells]);
+        }
       }
     }
   }
-  return program;
+  return issues.sort((a, b) => (a.level === b.level ? 0 : a.level === "error" ? -1 : 1));
+}
+
+// Grid cells for one program op — the inverse of buildProgram.
+function opToCells(op) {
+  const g = op.gate.toLowerCase();
+  if (g === "measure") return [[op.target, { gate: "M", cbit: op.cbit != null ? op.cbit : op.target }]];
+  const name = ALL_GATES.find(n => n.toLowerCase() === g);
+  if (!name) return customOpToCells(op);
+  const base = { gate: name };
+  for (const f of PARAM_FIELDS) if (op[f] != null) base[f] = op[f];
+  if (!MULTI_GATES.includes(name)) return [[op.target, base]];
+  for (const f of WIRE_FIELDS) if (op[f] != null) base[f] = op[f];
+  if (g === "ccx") {
+    return [
+      [op.control1, { ...base, role: "ctrl1" }],
+      [op.control2, { ...base, role: "ctrl2" }],
+      [op.target,   { ...base, role: "tgt" }],
+    ];
+  }
+  if (g === "swap") return [[op.target, { ...base, role: "tgt" }], [op.target2, { ...base, role: "tgt2" }]];
+  return [[op.control, { ...base, role: "ctrl" }], [op.target, { ...base, role: "tgt" }]];
+}
+
+// Custom gates are looked up in the QSim registry; their cells are
+// marked `custom`, and two-qubit ones wired like SWAP.
+function customOpToCells(op) {
+  const def = QSim.listGates().find(d => d.name.toLowerCase() === op.gate.toLowerCase());
+  if (!def) throw new Error("Unsupported gate: " + op.gate);
+  const base = { gate: def.name, custom: true };
+  if (gateQubits(def) === 1) return [[op.target, base]];
+  const wired = { ...base, target: op.target, target2: op.target2 };
+  return [[op.target, { ...wired, role: "tgt" }], [op.target2, { ...wired, role: "tgt2" }]];
+}
+
+function gateQubits(def) { return def.matrix.length === 2 ? 1 : 2; }
+
+// Lay a program out on a fresh grid, each op in the earliest column
+// after every earlier op on the same wires.
+function gridFromProgram(qubitCount, program) {
+  const grid = emptyGrid(qubitCount);
+  const frontier = Array(qubitCount).fill(0);
+  for (const op of program) {
+    const cells = opToCells(op);
+    const col = Math.max(...cells.map(([r]) => frontier[r]));
+    for (const [r, cell] of cells) { grid[r][col] = cell; frontier[r] = col + 1; }
+  }
+  return fitColumns(grid);
 }
 
 function gridHasGates(grid) {
   return grid.some(row => row.some(c => c !== null));
 }
 
+// ── Modal shell ────────────────────────────────────────────────────
+// Every dialog renders inside <Modal>: it takes focus on open (unless an
+// autoFocus field already has it), keeps Tab and Shift+Tab inside,
+// closes on Escape and hands focus back to whatever opened it.
+const FOCUSABLE = "button:not([disabled]), [href], input:not([disabled]), select:not([disabled]), "
+  + "textarea:not([disabled]), [tabindex]:not([tabindex='-1'])";
+let modalTitleId = 0;
+
+function Modal({ className, onClose, children }) {
+  const ref = useRef(null);
+  const openerRef = useRef(document.activeElement); // before any autoFocus field takes focus
+
+  useEffect(() => {
+    const dialog = ref.current;
+    const opener = openerRef.current;
+    const heading = dialog.querySelector("h3");
+    if (heading) {
+      heading.id = heading.id || `modal-title-${++modalTitleId}`;
+      dialog.setAttribute("aria-labelledby", heading.id);
+    }
+    if (!dialog.contains(document.activeElement)) (dialog.querySelector(FOCUSABLE) || dialog).focus();
+    return () => { if (opener && opener.isConnected && opener.focus) opener.focus(); };
+  }, []);
+
+  const onKeyDown = (e) => {
+    if (e.key === "Escape") { e.stopPropagation(); onClose(); return; }
+    if (e.key !== "Tab") return;
+    const items = ref.current.querySelectorAll(FOCUSABLE);
+    if (!items.length) { e.preventDefault(); return; }
+    const first = items[0], last = items[items.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === ref.current)) { e.preventDefault(); last.focus(); }
+    else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+  };
+
+  return (
+    <div className="modal-overlay">
+      <div ref={ref} className={"modal" + (className ? " " + className : "")} role="dialog" aria-modal="true"
+        tabIndex={-1} onKeyDown={onKeyDown}>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+// ── Initial state ──────────────────────────────────────────────────
+// Composer input state: null (|0…0⟩), { wires: [label per qubit] } or
+// { amplitudes: [{re, im}] }. Labels are QSim's wire-state names.
+const WIRE_STATES = ["0", "1", "+", "-", "i", "-i"];
+const INIT_VECTOR_MAX_QUBITS = 8; // amplitude vectors are typed in by hand
+const wireKet = (label) => `|${label.replace("-", "−")}⟩`;
+
+function initialOption(init) {
+  if (!init) return null;
+  if (init.amplitudes) return init.amplitudes;
+  return init.wires.every(l => l === "0") ? null : init.wires;
+}
+
+function resizeInit(init, n) {
+  if (!init || !init.wires) return null;
+  return { wires: Array.from({ length: n }, (_, q) => init.wires[q] || "0") };
+}
+
+// The input state with qubit q relabelled perm[q].
+function permuteInit(init, perm) {
+  if (!init) return null;
+  if (init.wires) {
+    const wires = [];
+    init.wires.forEach((l, q) => { wires[perm[q]] = l; });
+    return { wires };
+  }
+  const amplitudes = [];
+  init.amplitudes.forEach((a, i) => {
+    let j = 0;
+    perm.forEach((p, q) => { if ((i >> q) & 1) j |= 1 << p; });
+    amplitudes[j] = a;
+  });
+  return { amplitudes };
+}
+
+const NUM = "(?:\\d+\\.?\\d*|\\.\\d+)(?:e[+-]?\\d+)?";
+const REAL_RE = new RegExp(`^[+-]?${NUM}$`, "i");
+const IMAG_RE = new RegExp(`^([+-]?)(${NUM})?i$`, "i");
+const COMPLEX_RE = new RegExp(`^([+-]?${NUM})([+-])(${NUM})?i$`, "i");
+
+// "0.5", "-i", "0.5i", "0.6-0.8i" → {re, im}; null if unparseable
+function parseComplex(str) {
+  const t = str.replace(/[\s()]+/g, "").replace(/−/g, "-");
+  if (REAL_RE.test(t)) return { re: +t, im: 0 };
+  let m = t.match(IMAG_RE);
+  if (m) return { re: 0, im: (m[1] === "-" ? -1 : 1) * (m[2] ? +m[2] : 1) };
+  m = t.match(COMPLEX_RE);
+  if (m) return { re: +m[1], im: (m[2] === "-" ? -1 : 1) * (m[3] ? +m[3] : 1) };
+  return null;
+}
+
+function InitialStateModal({ qubitCount, value, onConfirm, onCancel }) {
+  const dim = 1 << qubitCount;
+  const [mode, setMode]   = useState(value && value.amplitudes ? "vector" : "wires");
+  const [wires, setWires] = useState(() => (resizeInit(value, qubitCount) || { wires: Array(qubitCount).fill("0") }).wires);
+  const [text, setText]   = useState(() => value && value.amplitudes
+    ? value.amplitudes.map(a => formatAmp(a, 8)).join(", ")
+    : qubitCount <= INIT_VECTOR_MAX_QUBITS ? ["1"].concat(Array(dim - 1).fill("0")).join(", ") : "");
+  const [error, setError] = useState(null);
+
+  const parsed = () => {
+    const parts = text.split(/[,;\n]+/).map(p => p.trim()).filter(Boolean);
+    if (parts.length !== dim) throw new Error(`Expected ${dim} amplitudes, got ${parts.length}`);
+    return parts.map((p, i) => {
+      const a = parseComplex(p);
+      if (!a) throw new Error(`Amplitude ${i} ("${p}") is not a number like 0.5, -i or 0.6-0.8i`);
+      return a;
+    });
+  };
+  const normalize = () => {
+    try {
+      const amps = parsed();
+      const norm = Math.sqrt(amps.reduce((s, a) => s + a.re * a.re + a.im * a.im, 0));
+      if (norm === 0) throw new Error("The zero vector can't be normalized");
+      setText(amps.map(a => formatAmp({ re: a.re / norm, im: a.im / norm }, 8)).join(", "));
+      setError(null);
+    } catch (e) { setError(e.message); }
+  };
+  const confirm = () => {
+    if (mode === "wires") { onConfirm(wires.every(l => l === "0") ? null : { wires }); return; }
+    try {
+      const amps = parsed();
+      QSim.simulate(qubitCount, [], { initial: amps }); // validates normalization
+      onConfirm({ amplitudes: amps });
+    } catch (e) { setError(e.message); }
+  };
+
+  return (
+    <Modal className="modal-wide" onClose={onCancel}>
+      <h3>Initial State</h3>
+      <div className="mode-toggle">
+        <label><input type="radio" checked={mode === "wires"} onChange={() => setMode("wires")} /> Per wire</label>
+        <label title={qubitCount > INIT_VECTOR_MAX_QUBITS ? `Up to ${INIT_VECTOR_MAX_QUBITS} qubits` : undefined}>
+          <input type="radio" checked={mode === "vector"} disabled={qubitCount > INIT_VECTOR_MAX_QUBITS} onChange={() => setMode("vector")} /> Amplitude vector
+        </label>
+      </div>
+      {mode === "wires" ? (
+        <div className="init-wires">
+          {wires.map((l, q) => (
+            <label key={q}>q{q}
+              <select value={l} onChange={e => setWires(wires.map((w, i) => i === q ? e.target.value : w))}>
+                {WIRE_STATES.map(s => <option key={s} value={s}>{wireKet(s)}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+      ) : (
+        <React.Fragment>
+          <p>{dim} comma-separated amplitudes, basis order |0…00⟩, |0…01⟩, … (q0 is the lowest bit).</p>
+          <textarea className="qasm-text" value={text} spellCheck={false} onChange={e => { setText(e.target.value); setError(null); }} />
+        </React.Fragment>
+      )}
+      {error && <p className="error-hint">{error}</p>}
+      <div className="modal-actions">
+        {mode === "vector" && <button onClick={normalize}>Normalize</button>}
+        <button onClick={onCancel}>Cancel</button>
+        <button className="primary" onClick={confirm}>Set</button>
+      </div>
+    </Modal>
+  );
+}
+
+// ── Noise ──────────────────────────────────────────────────────────
+// Composer noise settings → QSim noise model (null for an ideal run).
+// The channel follows every gate on each qubit it touches.
+function buildNoiseModel(cfg) {
+  const model = {};
+  if (cfg.model !== "none") model.gates = { "*": [QSim.noise[cfg.model](cfg.strength)] };
+  if (cfg.readout > 0) model.readout = { p10: cfg.readout, p01: cfg.readout };
+  return Object.keys(model).length ? model : null;
+}
+
+function NoiseControls({ cfg, onChange, qubitCount }) {
+  const density = cfg.model !== "none";
+  const set = (patch) => onChange({ ...cfg, ...patch });
+  const clamp = (v) => Math.min(1, Math.max(0, isNaN(v) ? 0 : v));
+  return (
+    <div className="noise-bar">
+      <label>Noise:
+        <select value={cfg.model} onChange={e => set({ model: e.target.value })}>
+          {NOISE_MODELS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+      </label>
+      <label>p:
+        <input type="number" min="0" max="1" step="0.005" value={cfg.strength} disabled={cfg.model === "none"}
+          onChange={e => set({ strength: clamp(parseFloat(e.target.value)) })} />
+      </label>
+      <label>Readout error:
+        <input type="number" min="0" max="1" step="0.005" value={cfg.readout}
+          onChange={e => set({ readout: clamp(parseFloat(e.target.value)) })} />
+      </label>
+      {density && (
+        <span className={`noise-note ${qubitCount > QSim.DENSITY_MAX_QUBITS ? "noise-note-warn" : ""}`}>
+          Density-matrix mode · up to {QSim.DENSITY_MAX_QUBITS} qubits
+        </span>
+      )}
+    </div>
+  );
+}
+
+// ── Parameters ─────────────────────────────────────────────────────
+// One slider per free symbol in the circuit's angle expressions.
+const PARAM_DEFAULT = 0;
+const PARAM_RANGE = 2 * Math.PI;
+
+function ParameterPanel({ symbols, values, onChange }) {
+  return (
+    <div className="param-panel">
+      <span className="param-title">Parameters</span>
+      {symbols.map(name => (
+        <label key={name} className="param-row">
+          <span className="param-name">{name}</span>
+          <input type="range" min={-PARAM_RANGE} max={PARAM_RANGE} step={0.01} value={values[name]}
+            onChange={e => onChange(name, +e.target.value)} />
+          <span className="param-value">{values[name].toFixed(2)}</span>
+        </label>
+      ))}
+    </div>
+  );
+}
+
+// ── Observables ────────────────────────────────────────────────────
+// Pauli sums evaluated against the current circuit shortly after every
+// edit, in SimService's worker; only for small registers.
+const OBSERVABLES_MAX_QUBITS = 12;
+const OBSERVABLES_DEBOUNCE_MS = 150;
+
+// → [{ text, value } | { text, error }]; `values` maps each valid text to
+// { value } or { error } from the last evaluation.
+function observableRows(qubitCount, observables, values) {
+  return observables.map(text => {
+    try { QSim.parsePauliSum(text, qubitCount); }
+    catch (e) { return { text, error: e.message }; }
+    return { text, ...values[text] };
+  });
+}
+
+// rows is null when the register is too big to evaluate live.
+function ObservablesPanel({ qubitCount, observables, rows, onAdd, onRemove }) {
+  const [text, setText]   = useState("");
+  const [error, setError] = useState(null);
+  const add = () => {
+    try {
+      QSim.parsePauliSum(text, qubitCount);
+      onAdd([text.trim()]);
+      setText("");
+    } catch (e) { setError(e.message); }
+  };
+  // ⟨Z⟩ on each qubit, q0 first
+  const zEach = Array.from({ length: qubitCount }, (_, q) => "I".repeat(qubitCount - 1 - q) + "Z" + "I".repeat(q));
+
+  return (
+    <div className="param-panel observables-panel">
+      <span className="param-title">Observables</span>
+      {observables.map((text, i) => {
+        const row = rows ? rows[i] : {};
+        return (
+          <span key={text} className="observable-row" title={row.error}>
+            <span className="param-name">⟨{text}⟩</span>
+            <span className={row.error ? "observable-error" : "param-value"}>
+              {row.error ? "invalid" : row.value != null ? row.value.toFixed(4) : "—"}
+            </span>
+            <button className="observable-remove" onClick={() => onRemove(text)} title="Remove">×</button>
+          </span>
+        );
+      })}
+      {!rows && <span className="chart-note">Live values need {OBSERVABLES_MAX_QUBITS} qubits or fewer</span>}
+      <span className="observable-add">
+        <input type="text" value={text} spellCheck={false} placeholder={`e.g. 0.5*${"Z".repeat(qubitCount)}`}
+          onChange={e => { setText(e.target.value); setError(null); }}
+          onKeyDown={e => { if (e.key === "Enter") add(); }} />
+        <button onClick={add} disabled={!text.trim()}>Add</button>
+        <button onClick={() => onAdd(zEach)} title="Add ⟨Z⟩ for every qubit">Z each</button>
+      </span>
+      {error && <span className="observable-error">{error}</span>}
+    </div>
+  );
+}
+
+// ── Lint panel ─────────────────────────────────────────────────────
+const LINT_SHOWN = 8;
+
+// The issues lintGrid found; clicking one moves the cursor to its cells.
+function LintPanel({ issues, onShow }) {
+  const [all, setAll] = useState(false);
+  if (!issues.length) return null;
+  const errors = issues.filter(i => i.level === "error").length;
+  const warnings = issues.length - errors;
+  const shown = all ? issues : issues.slice(0, LINT_SHOWN);
+  return (
+    <div className="lint-panel" role="region" aria-label="Circuit checks">
+      <span className="param-title">
+        Checks: {[errors && `${errors} error${errors > 1 ? "s" : ""}`, warnings && `${warnings} warning${warnings > 1 ? "s" : ""}`].filter(Boolean).join(", ")}
+      </span>
+      <ul>
+        {shown.map((issue, i) => (
+          <li key={i} className={`lint-${issue.level}`}>
+            <button disabled={!issue.cells.length} onClick={() => onShow(...issue.cells[0])}
+              title={issue.cells.length ? "Show on the grid" : undefined}>
+              {issue.level === "error" ? "✕" : "⚠"} {issue.message}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {issues.length > LINT_SHOWN && (
+        <button className="lint-more" onClick={() => setAll(!all)}>
+          {all ? "Show fewer" : `Show all ${issues.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
 // ── LocalStorage ───────────────────────────────────────────────────
+// Circuits saved before the IndexedDB library existed. Old-shape entries
+// are migrated; unreadable data is copied to UNREADABLE_KEY so it isn't
+// lost when STORAGE_KEY is cleared.
 function loadSaved() {
-  try { const r = localStorage.getItem(STORAGE_KEY); return r ? JSON.parse(r) : []; }
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) return [];
+  try {
+    const { circuits, skipped } = QLibrary.parse(raw, { skipInvalid: true });
+    if (skipped) localStorage.setItem(UNREADABLE_KEY, raw);
+    return circuits;
+  } catch {
+    localStorage.setItem(UNREADABLE_KEY, raw);
+    return [];
+  }
+}
+
+// Opens the IndexedDB library, first moving over any circuits still
+// kept under STORAGE_KEY.
+async function openLibrary() {
+  const legacy = loadSaved();
+  if (legacy.length) await Promise.all(legacy.map(e => QLibrary.store.add(e)));
+  localStorage.removeItem(STORAGE_KEY);
+  return QLibrary.store.list();
+}
+
+// Registers the stored custom gates with QSim (skipping any that no
+// longer validate) and returns the registry's definitions.
+function loadCustomGates() {
+  let defs = [];
+  try { const r = localStorage.getItem(GATES_KEY); defs = r ? JSON.parse(r) : []; }
+  catch { defs = []; }
+  for (const d of defs) { try { QSim.defineGate(d.name, d.matrix); } catch { /* dropped */ } }
+  return QSim.listGates();
+}
+function persistCustomGates(list) { localStorage.setItem(GATES_KEY, JSON.stringify(list)); }
+function loadSubcircuits() {
+  try { const r = localStorage.getItem(BLOCKS_KEY); return r ? JSON.parse(r) : []; }
   catch { return []; }
 }
-function persistSaved(list) { localStorage.setItem(STORAGE_KEY, JSON.stringify(list)); }
+function persistSubcircuits(list) { localStorage.setItem(BLOCKS_KEY, JSON.stringify(list)); }
+function loadObservables() {
+  try { const r = localStorage.getItem(OBSERVABLES_KEY); return r ? JSON.parse(r) : []; }
+  catch { return []; }
+}
+function persistObservables(list) { localStorage.setItem(OBSERVABLES_KEY, JSON.stringify(list)); }
 
 // ── Angle Modal ────────────────────────────────────────────────────
-function AngleModal({ gate, onConfirm, onCancel }) {
-  const [angle, setAngle] = useState("1.5708");
+// Inputs for the angle parameters of `gate`; `values` holds the strings,
+// each a number or an expression like "pi/4" or "2*theta".
+function ParamInputs({ gate, values, onChange, autoFocus }) {
+  return GATE_PARAMS[gate].map(([field, sym], k) => (
+    <label key={field}>{sym} (radians): <input type="text" value={values[field]} spellCheck={false}
+      onChange={e => onChange({ ...values, [field]: e.target.value })} autoFocus={autoFocus && k === 0} /></label>
+  ));
+}
+
+// Input strings for a new gate, or for editing the angles of `cell`.
+function initialParams(gate, cell) {
+  const values = {};
+  (GATE_PARAMS[gate] || []).forEach(([field], k) => {
+    values[field] = cell && cell[field] != null ? angleText(cell[field]) : k === 0 ? "pi/2" : "0";
+  });
+  return values;
+}
+
+// Editable text for a stored angle: expressions as written, multiples of
+// π/4 as "3*pi/4", anything else in full precision.
+function angleText(v) {
+  if (typeof v === "string") return v;
+  const q = v / (Math.PI / 4);
+  const k = Math.round(q);
+  if (Math.abs(q - k) > 1e-9) return String(v);
+  if (k === 0) return "0";
+  const g = k % 4 === 0 ? 4 : k % 2 === 0 ? 2 : 1;
+  const num = k / g, den = 4 / g;
+  return (num === 1 ? "" : num === -1 ? "-" : num + "*") + "pi" + (den === 1 ? "" : "/" + den);
+}
+
+// → { params, error }: constant expressions become numbers, ones with
+// free parameters stay strings for buildProgram to bind.
+function parseParams(gate, values) {
+  const params = {};
+  for (const [f, sym] of GATE_PARAMS[gate] || []) {
+    try {
+      const e = QParams.compile(values[f]);
+      params[f] = e.symbols.length ? e.text : e.evaluate();
+    } catch (err) {
+      return { params, error: `${sym}: ${err.message}` };
+    }
+  }
+  return { params, error: null };
+}
+
+function AngleModal({ gate, initial, onConfirm, onCancel }) {
+  const [values, setValues] = useState(() => initialParams(gate, initial));
+  const { params, error } = parseParams(gate, values);
   return (
-    <div className="modal-overlay">
-      <div className="modal">
-        <h3>Set angle for {gate}</h3>
-        <p>θ (radians)</p>
-        <input type="number" step="0.01" value={angle} onChange={e => setAngle(e.target.value)} autoFocus />
-        <div className="modal-actions">
-          <button onClick={onCancel}>Cancel</button>
-          <button className="primary" onClick={() => onConfirm(parseFloat(angle))}>Place</button>
-        </div>
+    <Modal onClose={onCancel}>
+      <h3>{initial ? "Edit" : "Set"} {GATE_PARAMS[gate].length > 1 ? "angles" : "angle"} for {gate}</h3>
+      <ParamInputs gate={gate} values={values} onChange={setValues} autoFocus />
+      <p className="hint">Numbers, pi, + − * / and parameter names such as theta.</p>
+      {error && <p className="error-hint">{error}</p>}
+      <div className="modal-actions">
+        <button onClick={onCancel}>Cancel</button>
+        <button className="primary" disabled={!!error} onClick={() => onConfirm(params)}>{initial ? "Update" : "Place"}</button>
       </div>
-    </div>
+    </Modal>
   );
 }
 
 // ── Multi-qubit Gate Modal ─────────────────────────────────────────
-function MultiGateModal({ gate, qubitCount, onConfirm, onCancel }) {
-  const isCCX = gate.toLowerCase() === "ccx";
-  const [target, setTarget]     = useState(0);
-  const [control, setControl]   = useState(1);
-  const [control1, setControl1] = useState(0);
-  const [control2, setControl2] = useState(1);
-  const [tgt, setTgt]           = useState(2);
+// `initial` (the op of a placed gate) opens it for editing.
+function MultiGateModal({ gate, qubitCount, custom, initial, onConfirm, onCancel }) {
+  const isCCX = gate === "CCX";
+  const isSwap = gate === "SWAP" || custom;
+  const op = initial || {};
+  const [target, setTarget]     = useState(initial ? (isSwap ? op.target2 : op.target) : 0);
+  const [control, setControl]   = useState(initial ? (isSwap ? op.target : op.control) : 1);
+  const [control1, setControl1] = useState(initial && isCCX ? op.control1 : 0);
+  const [control2, setControl2] = useState(initial && isCCX ? op.control2 : 1);
+  const [tgt, setTgt]           = useState(initial && isCCX ? op.target : 2);
+  const [values, setValues]     = useState(() => initialParams(gate, initial));
   const qubits = Array.from({ length: qubitCount }, (_, i) => i);
+  const title = GATE_TITLES[gate] || gate;
+  const verb = initial ? "Edit" : "Place";
 
   if (isCCX) {
     return (
-      <div className="modal-overlay">
-        <div className="modal">
-          <h3>Place CCX (Toffoli)</h3>
-          <label>Control 1: <select value={control1} onChange={e => setControl1(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
-          <label>Control 2: <select value={control2} onChange={e => setControl2(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
-          <label>Target: <select value={tgt} onChange={e => setTgt(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
-          {(new Set([control1, control2, tgt]).size !== 3) && <p className="error-hint">All three must be distinct qubits.</p>}
-          <div className="modal-actions">
-            <button onClick={onCancel}>Cancel</button>
-            <button className="primary" disabled={new Set([control1, control2, tgt]).size !== 3} onClick={() => onConfirm({ control1, control2, target: tgt })}>Place</button>
-          </div>
+      <Modal onClose={onCancel}>
+        <h3>{verb} {title}</h3>
+        <label>Control 1: <select value={control1} onChange={e => setControl1(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
+        <label>Control 2: <select value={control2} onChange={e => setControl2(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
+        <label>Target: <select value={tgt} onChange={e => setTgt(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
+        {(new Set([control1, control2, tgt]).size !== 3) && <p className="error-hint">All three must be distinct qubits.</p>}
+        <div className="modal-actions">
+          <button onClick={onCancel}>Cancel</button>
+          <button className="primary" disabled={new Set([control1, control2, tgt]).size !== 3} onClick={() => onConfirm({ control1, control2, target: tgt })}>{initial ? "Update" : "Place"}</button>
         </div>
-      </div>
+      </Modal>
     );
   }
+  const { params, error } = parseParams(gate, values);
+  const valid = control !== target && !error;
+  const wires = isSwap ? { target: control, target2: target } : { control, target };
+  const labels = custom ? ["Target (bit 0)", "Target 2 (bit 1)"] : isSwap ? ["Qubit A", "Qubit B"] : ["Control", "Target"];
   return (
-    <div className="modal-overlay">
-      <div className="modal">
-        <h3>Place CX (CNOT)</h3>
-        <label>Control: <select value={control} onChange={e => setControl(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
-        <label>Target: <select value={target} onChange={e => setTarget(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
-        {control === target && <p className="error-hint">Control and target must be different.</p>}
-        <div className="modal-actions">
-          <button onClick={onCancel}>Cancel</button>
-          <button className="primary" disabled={control === target} onClick={() => onConfirm({ control, target })}>Place</button>
-        </div>
+    <Modal onClose={onCancel}>
+      <h3>{verb} {title}</h3>
+      <label>{labels[0]}: <select value={control} onChange={e => setControl(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
+      <label>{labels[1]}: <select value={target} onChange={e => setTarget(+e.target.value)}>{qubits.map(q => <option key={q} value={q}>q{q}</option>)}</select></label>
+      {GATE_PARAMS[gate] && <ParamInputs gate={gate} values={values} onChange={setValues} />}
+      {control === target && <p className="error-hint">{isSwap ? "The two qubits" : "Control and target"} must be different.</p>}
+      {error && <p className="error-hint">{error}</p>}
+      <div className="modal-actions">
+        <button onClick={onCancel}>Cancel</button>
+        <button className="primary" disabled={!valid} onClick={() => onConfirm({ ...wires, ...params })}>{initial ? "Update" : "Place"}</button>
+      </div>
+    </Modal>
+  );
+}
+
+// ── Define Gate Modal ──────────────────────────────────────────────
+// A custom gate from a typed matrix or from the product of a short
+// QASM program on q[0] (and q[1]); QSim.defineGate checks unitarity.
+const GATE_MATRIX_EXAMPLE = {
+  1: "0.70710678, 0.70710678\n0.70710678, -0.70710678",
+  2: "1, 0, 0, 0\n0, 1, 0, 0\n0, 0, 0, 1\n0, 0, 1, 0",
+};
+const GATE_PRODUCT_EXAMPLE = { 1: "h q[0];\nt q[0];\nh q[0];", 2: "h q[1];\ncx q[0], q[1];" };
+
+function DefineGateModal({ existing, onConfirm, onCancel }) {
+  const [name, setName]       = useState("");
+  const [mode, setMode]       = useState("matrix");
+  const [qubits, setQubits]   = useState(1);
+  const [matrix, setMatrix]   = useState(GATE_MATRIX_EXAMPLE[1]);
+  const [product, setProduct] = useState(GATE_PRODUCT_EXAMPLE[1]);
+  const [error, setError]     = useState(null);
+  const dim = 1 << qubits;
+
+  const changeQubits = (k) => {
+    if (matrix === GATE_MATRIX_EXAMPLE[qubits]) setMatrix(GATE_MATRIX_EXAMPLE[k]);
+    if (product === GATE_PRODUCT_EXAMPLE[qubits]) setProduct(GATE_PRODUCT_EXAMPLE[k]);
+    setQubits(k);
+    setError(null);
+  };
+  const parsedMatrix = () => {
+    const rows = matrix.split("\n").map(l => l.trim()).filter(Boolean);
+    if (rows.length !== dim) throw new Error(`Expected ${dim} rows, got ${rows.length}`);
+    return rows.map((line, r) => {
+      const parts = line.split(/[,;]+/).map(p => p.trim()).filter(Boolean);
+      if (parts.length !== dim) throw new Error(`Row ${r} needs ${dim} comma-separated entries, got ${parts.length}`);
+      return parts.map((p, c) => {
+        const a = parseComplex(p);
+        if (!a) throw new Error(`Entry (${r}, ${c}) ("${p}") is not a number like 0.5, -i or 0.6-0.8i`);
+        return a;
+      });
+    });
+  };
+  const productMatrix = () => {
+    // Header on the same line so parse errors keep the user's line numbers
+    const { program } = QASM.parse(`OPENQASM 2.0; include "qelib1.inc"; qreg q[${qubits}]; ` + product);
+    if (program.some(op => op.gate === "measure")) throw new Error("A gate can't contain measurements");
+    return QSim.unitary(qubits, program).matrix;
+  };
+  const confirm = () => {
+    try {
+      if (!name.trim()) throw new Error("Give the gate a name");
+      if (ALL_GATES.some(g => g.toLowerCase() === name.trim().toLowerCase())) throw new Error(`'${name.trim()}' is a built-in gate`);
+      onConfirm(QSim.defineGate(name.trim(), mode === "matrix" ? parsedMatrix() : productMatrix()));
+    } catch (e) { setError(e.message); }
+  };
+  const replaces = existing.some(d => d.name.toLowerCase() === name.trim().toLowerCase());
+
+  return (
+    <Modal className="modal-wide" onClose={onCancel}>
+      <h3>Define Gate</h3>
+      <label>Name: <input type="text" value={name} placeholder="e.g. myU" autoFocus
+        onChange={e => { setName(e.target.value); setError(null); }} /></label>
+      <label>Qubits:
+        <select value={qubits} onChange={e => changeQubits(+e.target.value)}>
+          <option value={1}>1 (2×2)</option>
+          <option value={2}>2 (4×4)</option>
+        </select>
+      </label>
+      <div className="mode-toggle">
+        <label><input type="radio" checked={mode === "matrix"} onChange={() => { setMode("matrix"); setError(null); }} /> Matrix</label>
+        <label><input type="radio" checked={mode === "product"} onChange={() => { setMode("product"); setError(null); }} /> Product of gates</label>
+      </div>
+      {mode === "matrix" ? (
+        <React.Fragment>
+          <p>{dim} rows of {dim} comma-separated entries. {qubits === 2 && "Row/column index = bit 0 + 2·bit 1; bit 0 is the gate's first target."}</p>
+          <textarea className="qasm-text" value={matrix} spellCheck={false} onChange={e => { setMatrix(e.target.value); setError(null); }} />
+        </React.Fragment>
+      ) : (
+        <React.Fragment>
+          <p>OpenQASM gates on {qubits === 1 ? "q[0]" : "q[0] and q[1]"}, applied top to bottom.</p>
+          <textarea className="qasm-text" value={product} spellCheck={false} onChange={e => { setProduct(e.target.value); setError(null); }} />
+        </React.Fragment>
+      )}
+      {replaces && !error && <p className="hint">Replaces the existing gate {name.trim()}.</p>}
+      {error && <p className="error-hint">{error}</p>}
+      <div className="modal-actions">
+        <button onClick={onCancel}>Cancel</button>
+        <button className="primary" onClick={confirm}>Define</button>
+      </div>
+    </Modal>
+  );
+}
+
+// ── Measure Modal ──────────────────────────────────────────────────
+function MeasureModal({ row, clbitCount, initial, onConfirm, onCancel }) {
+  const [cbit, setCbit] = useState(initial != null ? initial : row);
+  // Imported circuits may measure past clbitCount; keep their bit selectable
+  const clbits = Array.from({ length: Math.max(clbitCount, (initial || 0) + 1) }, (_, i) => i);
+  return (
+    <Modal onClose={onCancel}>
+      <h3>Measure q{row}</h3>
+      <label>Classical bit: <select value={cbit} onChange={e => setCbit(+e.target.value)}>{clbits.map(c => <option key={c} value={c}>c{c}</option>)}</select></label>
+      <div className="modal-actions">
+        <button onClick={onCancel}>Cancel</button>
+        <button className="primary" onClick={() => onConfirm(cbit)}>{initial != null ? "Update" : "Place"}</button>
+      </div>
+    </Modal>
+  );
+}
+
+// ── OpenQASM Modal ─────────────────────────────────────────────────
+// { text, error }: circuits with custom gates can't be exported.
+function qasmExport(qubitCount, program, version) {
+  try { return { text: QASM.serialize(qubitCount, program, { version }), error: null }; }
+  catch (e) { return { text: "", error: e.message }; }
+}
+
+function QasmModal({ qubitCount, program, onImport, onCancel }) {
+  const [exported]            = useState(() => qasmExport(qubitCount, program, "2.0"));
+  const [version, setVersion] = useState("2.0");
+  const [text, setText]       = useState(exported.text);
+  const [error, setError]     = useState(exported.error);
+
+  const changeVersion = (v) => {
+    const next = qasmExport(qubitCount, program, v);
+    setVersion(v); setText(next.text); setError(next.error);
+  };
+  const doImport = () => {
+    try { onImport(QASM.parse(text)); }
+    catch (e) { setError(e.message); }
+  };
+  const openFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) file.text().then(t => { setText(t); setError(null); });
+  };
+  const download = () => {
+    const url = URL.createObjectURL(new Blob([text], { type: "text/plain" }));
+    const a = document.createElement("a");
+    a.href = url; a.download = "circuit.qasm"; a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Modal className="modal-wide" onClose={onCancel}>
+      <h3>OpenQASM</h3>
+      <label>Version: <select value={version} onChange={e => changeVersion(e.target.value)}>
+        <option value="2.0">OpenQASM 2.0</option>
+        <option value="3.0">OpenQASM 3.0</option>
+      </select></label>
+      <p>Export of the current circuit — edit or paste QASM here to import it.</p>
+      <textarea className="qasm-text" value={text} spellCheck={false} onChange={e => { setText(e.target.value); setError(null); }} />
+      {error && <p className="error-hint">{error}</p>}
+      <div className="modal-actions">
+        <label className="file-btn">Open file…<input type="file" accept=".qasm,.txt" onChange={openFile} /></label>
+        <button onClick={() => navigator.clipboard.writeText(text)}>Copy</button>
+        <button onClick={download}>Download</button>
+        <button onClick={onCancel}>Close</button>
+        <button className="primary" onClick={doImport}>Import</button>
+      </div>
+    </Modal>
+  );
+}
+
+// ── Unitary Modal ──────────────────────────────────────────────────
+// Heatmap of ⟨r|U|c⟩: hue = phase (phaseToColor), brightness = magnitude.
+const HEATMAP_PX = 384;
+
+function UnitaryHeatmap({ matrix, onHover }) {
+  const canvasRef = useRef(null);
+  const dim = matrix.length;
+  const cell = Math.max(1, Math.floor(HEATMAP_PX / dim));
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas && canvas.getContext && canvas.getContext("2d");
+    if (!ctx) return;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    for (let r = 0; r < dim; r++) {
+      for (let c = 0; c < dim; c++) {
+        const { re, im } = matrix[r][c];
+        const mag = Math.sqrt(re * re + im * im);
+        if (mag < 1e-6) continue;
+        ctx.globalAlpha = Math.min(1, mag);
+        ctx.fillStyle = phaseToColor(Math.atan2(im, re));
+        ctx.fillRect(c * cell, r * cell, cell, cell);
+      }
+    }
+    ctx.globalAlpha = 1;
+  }, [matrix, dim, cell]);
+
+  const hover = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const c = Math.floor((e.clientX - rect.left) / cell);
+    const r = Math.floor((e.clientY - rect.top) / cell);
+    onHover(r >= 0 && r < dim && c >= 0 && c < dim ? { r, c } : null);
+  };
+
+  return (
+    <canvas ref={canvasRef} className="unitary-canvas" width={dim * cell} height={dim * cell}
+      onMouseMove={hover} onMouseLeave={() => onHover(null)} />
+  );
+}
+
+function UnitaryModal({ qubitCount, program, onCancel }) {
+  const [upToPhase, setUpToPhase] = useState(false);
+  const [data, setData]           = useState(null);
+  const [error, setError]         = useState(null);
+  const [hover, setHover]         = useState(null);
+  const tooBig = qubitCount > QSim.UNITARY_MAX_QUBITS;
+
+  useEffect(() => {
+    if (tooBig) return;
+    let live = true;
+    setError(null);
+    const job = SimService.unitary(qubitCount, program, { upToGlobalPhase: upToPhase });
+    job.then(d => { if (live) setData(d); })
+      .catch(e => { if (live && !e.cancelled) setError(e.message); });
+    return () => { live = false; SimService.cancel(job.id); };
+  }, [qubitCount, program, upToPhase, tooBig]);
+
+  const entry = data && hover ? data.matrix[hover.r][hover.c] : null;
+  return (
+    <Modal className="modal-unitary" onClose={onCancel}>
+      <h3>Circuit Unitary</h3>
+      <p>Rows are outputs ⟨r|, columns are inputs |c⟩. Hue shows phase, brightness shows magnitude.</p>
+      <label className="auto-toggle">
+        <input type="checkbox" checked={upToPhase} onChange={e => setUpToPhase(e.target.checked)} />
+        Up to global phase
+      </label>
+      {tooBig && <p className="error-hint">The unitary view supports up to {QSim.UNITARY_MAX_QUBITS} qubits.</p>}
+      {error && <p className="error-hint">{error}</p>}
+      {!tooBig && !error && !data && <p className="chart-note">Computing…</p>}
+      {data && (
+        <React.Fragment>
+          <div className="unitary-wrap"><UnitaryHeatmap matrix={data.matrix} onHover={setHover} /></div>
+          <PhaseLegend />
+          <p className="unitary-readout">
+            {entry
+              ? <React.Fragment>⟨{hover.r.toString(2).padStart(qubitCount, "0")}|U|{hover.c.toString(2).padStart(qubitCount, "0")}⟩ = {formatAmp(entry)}</React.Fragment>
+              : "Hover a cell to read its entry"}
+            {upToPhase && data.global_phase !== 0 && <span className="chart-note"> · removed global phase {phaseToPi(data.global_phase)}</span>}
+          </p>
+        </React.Fragment>
+      )}
+      <div className="modal-actions">
+        <button className="primary" onClick={onCancel}>Close</button>
+      </div>
+    </Modal>
+  );
+}
+
+// ── VQE Modal ──────────────────────────────────────────────────────
+// The free variables are the angles of the grid's Rx/Ry/Rz cells in
+// column order; symbolic angles start from their slider values.
+const VQE_GATES = ["Rx", "Ry", "Rz"];
+const VQE_METHODS = [
+  { id: "nelder-mead", label: "Nelder–Mead" },
+  { id: "spsa",        label: "SPSA" },
+  { id: "gradient",    label: "Gradient descent (parameter shift)" },
+];
+const VQE_MAX_ITER = 100;
+// Each energy is a QSim.simulate on the main thread, and a Nelder–Mead
+// shrink or a parameter-shift gradient runs many before the optimizer
+// yields; small registers keep Stop responsive.
+const VQE_MAX_QUBITS = 12;
+const PLOT_W = 400, PLOT_H = 160, PLOT_PAD = 6;
+
+function rotationSlots(grid) {
+  const slots = [];
+  for (let c = 0; c < grid[0].length; c++) {
+    for (let r = 0; r < grid.length; r++) {
+      const cell = grid[r][c];
+      if (cell && VQE_GATES.includes(cell.gate)) slots.push({ row: r, col: c, gate: cell.gate, angle: cell.angle });
+    }
+  }
+  return slots;
+}
+
+function withSlotAngles(grid, slots, x) {
+  const g = grid.map(r => [...r]);
+  slots.forEach(({ row, col }, i) => { g[row][col] = { ...g[row][col], angle: x[i] }; });
+  return g;
+}
+
+function EnergyPlot({ history }) {
+  if (history.length < 2) return null;
+  const values = history.flatMap(h => [h.value, h.best]);
+  const lo = Math.min(...values), hi = Math.max(...values);
+  const span = hi - lo || 1;
+  const xOf = (i) => PLOT_PAD + (i / (history.length - 1)) * (PLOT_W - 2 * PLOT_PAD);
+  const yOf = (v) => PLOT_PAD + ((hi - v) / span) * (PLOT_H - 2 * PLOT_PAD);
+  const line = (key) => history.map((h, i) => `${xOf(i).toFixed(1)},${yOf(h[key]).toFixed(1)}`).join(" ");
+  return (
+    <div className="energy-plot">
+      <svg viewBox={`0 0 ${PLOT_W} ${PLOT_H}`} width="100%" role="img" aria-label="Energy against iteration">
+        <polyline className="energy-value" points={line("value")} />
+        <polyline className="energy-best" points={line("best")} />
+      </svg>
+      <div className="energy-axis">
+        <span>{hi.toFixed(4)}</span>
+        <span>iteration {history[history.length - 1].iteration}</span>
+        <span>{lo.toFixed(4)}</span>
       </div>
     </div>
   );
 }
 
+function VqeModal({ qubitCount, grid, subcircuits, bindings, initial, onApply, onCancel }) {
+  const [hamiltonian, setHamiltonian] = useState(() => "Z".repeat(qubitCount));
+  const [method, setMethod]   = useState("nelder-mead");
+  const [maxIter, setMaxIter] = useState(VQE_MAX_ITER);
+  const [history, setHistory] = useState([]);
+  const [best, setBest]       = useState(null); // { x, value }
+  const [running, setRunning] = useState(false);
+  const [error, setError]     = useState(null);
+  const abortRef = useRef(null);
+  const slots = useMemo(() => rotationSlots(grid), [grid]);
+
+  useEffect(() => () => { if (abortRef.current) abortRef.current.abort(); }, []);
+
+  const tooLarge = qubitCount > VQE_MAX_QUBITS;
+
+  const run = async () => {
+    let energy, x0;
+    try {
+      x0 = slots.map(s => (typeof s.angle === "number" ? s.angle : QParams.compile(s.angle).evaluate(bindings)));
+      energy = QOptimize.energyFunction(qubitCount,
+        x => buildProgram(withSlotAngles(grid, slots, x), subcircuits, bindings), hamiltonian, { initial });
+    } catch (e) { setError(e.message); return; }
+    const abort = new AbortController();
+    abortRef.current = abort;
+    setError(null); setHistory([]); setBest(null); setRunning(true);
+    try {
+      const result = await QOptimize.minimize(energy, x0, {
+        method, maxIter, signal: abort.signal,
+        onIteration: (entry) => setHistory(h => [...h, entry]),
+      });
+      setBest({ x: result.x, value: result.value });
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Modal className="modal-wide" onClose={onCancel}>
+      <h3>VQE Optimizer</h3>
+      <p>Minimizes ⟨H⟩ over the angles of the {slots.length} Rx/Ry/Rz gate{slots.length === 1 ? "" : "s"} in the circuit (ideal simulation, measurements ignored).</p>
+      <label>Hamiltonian: <input type="text" value={hamiltonian} spellCheck={false} disabled={running}
+        placeholder={`e.g. 0.5*${"Z".repeat(qubitCount)} - 0.3*X${"I".repeat(qubitCount - 1)}`}
+        onChange={e => { setHamiltonian(e.target.value); setError(null); }} /></label>
+      <p className="hint">Pauli strings have one letter per qubit, q{qubitCount - 1} first and q0 last.</p>
+      <label>Method:
+        <select value={method} disabled={running} onChange={e => setMethod(e.target.value)}>
+          {VQE_METHODS.map(m => <option key={m.id} value={m.id}>{m.label}</option>)}
+        </select>
+      </label>
+      <label>Iterations:
+        <input type="number" min={1} max={10000} value={maxIter} disabled={running}
+          onChange={e => setMaxIter(Math.max(1, Math.floor(+e.target.value) || 1))} />
+      </label>
+      {tooLarge && <p className="error-hint">The optimizer runs on circuits of up to {VQE_MAX_QUBITS} qubits; this one has {qubitCount}.</p>}
+      {slots.length === 0 && <p className="error-hint">Place Rx, Ry or Rz gates to give the optimizer something to vary.</p>}
+      {error && <p className="error-hint">{error}</p>}
+      <EnergyPlot history={history} />
+      {history.length > 0 && (
+        <p className="unitary-readout">
+          Iteration {history[history.length - 1].iteration} · E = {history[history.length - 1].value.toFixed(6)}
+          {" "}· best {history[history.length - 1].best.toFixed(6)}
+        </p>
+      )}
+      {best && !running && (
+        <p className="hint">Best energy {best.value.toFixed(6)} at ({best.x.map(v => v.toFixed(3)).join(", ")}).</p>
+      )}
+      <div className="modal-actions">
+        <button onClick={onCancel}>Close</button>
+        {running
+          ? <button onClick={() => abortRef.current.abort()}>Stop</button>
+          : <button disabled={slots.length === 0 || tooLarge} onClick={run}>Run</button>}
+        <button className="primary" disabled={!best || running} onClick={() => onApply(slots, best.x)}>Apply best</button>
+      </div>
+    </Modal>
+  );
+}
+
+// ── Share Modal ────────────────────────────────────────────────────
+function ShareModal({ url, onClose }) {
+  const [copied, setCopied] = useState(false);
+  const copy = () => navigator.clipboard.writeText(url).then(() => setCopied(true), () => setCopied(false));
+  return (
+    <Modal className="modal-wide" onClose={onClose}>
+      <h3>Share Circuit</h3>
+      <p>Anyone who opens this link gets a copy of the circuit in their Composer.</p>
+      <input type="text" readOnly value={url} autoFocus onFocus={e => e.target.select()} />
+      <p className="hint">{url.length.toLocaleString()} characters</p>
+      <div className="modal-actions">
+        <button onClick={onClose}>Close</button>
+        <button className="primary" onClick={copy}>{copied ? "Copied ✓" : "Copy link"}</button>
+      </div>
+    </Modal>
+  );
+}
+
+// ── Library Modal ──────────────────────────────────────────────────
+function downloadJson(text, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+const fileSafe = (name) => name.replace(/[^\w.-]+/g, "_") || "circuit";
+
+// Miniature of a saved grid: one line per qubit, a block per gate.
+const THUMB_CELL = 6;
+
+function thumbClass(cell) {
+  if (cell.gate === "M") return "thumb-measure";
+  return cell.role || cell.block ? "thumb-multi" : "thumb-gate";
+}
+
+function CircuitThumbnail({ grid }) {
+  const w = grid[0].length * THUMB_CELL, h = grid.length * THUMB_CELL;
+  return (
+    <svg className="saved-thumb" viewBox={`0 0 ${w} ${h}`} preserveAspectRatio="none" aria-hidden="true">
+      {grid.map((row, r) => (
+        <React.Fragment key={r}>
+          <line className="thumb-wire" x1={0} x2={w} y1={(r + 0.5) * THUMB_CELL} y2={(r + 0.5) * THUMB_CELL} />
+          {row.map((cell, c) => cell && (
+            <rect key={c} className={thumbClass(cell)} x={c * THUMB_CELL + 1} y={r * THUMB_CELL + 1}
+              width={THUMB_CELL - 2} height={THUMB_CELL - 2} rx={1} />
+          ))}
+        </React.Fragment>
+      ))}
+    </svg>
+  );
+}
+
+const LIBRARY_SORTS = { date: "Newest first", name: "Name" };
+
+// Every word of the query must appear in the name or a tag.
+function matchesQuery(entry, query) {
+  const hay = [entry.name, ...entry.tags].join(" ").toLowerCase();
+  return query.toLowerCase().split(/\s+/).every(w => hay.includes(w));
+}
+
+const parseTags = (text) => [...new Set(text.split(",").map(t => t.trim()).filter(Boolean))];
+
+function LibraryModal({ saved, onLoad, onUpdate, onDuplicate, onDelete, onImport, onClose }) {
+  const [query, setQuery]     = useState("");
+  const [sort, setSort]       = useState("date");
+  const [editing, setEditing] = useState(null); // { id, field: "name" | "tags", value }
+  const [pending, setPending] = useState(null); // { circuits, version, conflicts } awaiting a choice
+  const [notice, setNotice]   = useState(null);
+  const [error, setError]     = useState(null);
+
+  const shown = useMemo(() => {
+    const list = saved.filter(e => matchesQuery(e, query.trim()));
+    return sort === "name" ? list.sort((a, b) => a.name.localeCompare(b.name)) : list.sort((a, b) => b.ts - a.ts);
+  }, [saved, query, sort]);
+
+  const report = (promise) => { setError(null); promise.catch(e => setError(e.message)); };
+
+  const startEdit = (entry, field) => {
+    setEditing({ id: entry.id, field, value: field === "name" ? entry.name : entry.tags.join(", ") });
+  };
+  const commitEdit = (entry) => {
+    if (!editing || editing.id !== entry.id) return;
+    const { field, value } = editing;
+    setEditing(null);
+    if (field === "tags") { report(onUpdate({ ...entry, tags: parseTags(value) })); return; }
+    const name = value.trim();
+    if (!name || name === entry.name) return;
+    if (saved.some(e => e.id !== entry.id && e.name === name)) { setError(`A saved circuit is already named "${name}"`); return; }
+    report(onUpdate({ ...entry, name }));
+  };
+  const editKeys = (e, entry) => {
+    if (e.key === "Enter") commitEdit(entry);
+    else if (e.key === "Escape") { e.stopPropagation(); setEditing(null); }
+  };
+
+  const finish = (circuits, version, mode) => {
+    setPending(null);
+    onImport(circuits, mode).then(() => {
+      setNotice(`Imported ${circuits.length} circuit${circuits.length === 1 ? "" : "s"}`
+        + (version < QLibrary.VERSION ? ` (upgraded from format version ${version})` : "") + ".");
+    }, e => setError("Import failed: " + e.message));
+  };
+
+  const openFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    setError(null); setNotice(null); setPending(null);
+    file.text().then(text => {
+      let parsed;
+      try { parsed = QLibrary.parse(text); }
+      catch (err) { setError(`${file.name}: ${err.message}`); return; }
+      const conflicts = QLibrary.conflicts(saved, parsed.circuits);
+      if (conflicts.length) setPending({ ...parsed, conflicts });
+      else finish(parsed.circuits, parsed.version, "rename");
+    });
+  };
+
+  const editor = (entry, field, placeholder) => (
+    <input className="saved-edit" type="text" value={editing.value} placeholder={placeholder} autoFocus
+      onChange={e => setEditing({ ...editing, value: e.target.value })}
+      onKeyDown={e => editKeys(e, entry)} onBlur={() => commitEdit(entry)} />
+  );
+
+  return (
+    <Modal className="modal-wide modal-library" onClose={onClose}>
+      <h3>Saved Circuits</h3>
+      {saved.length === 0 ? <p>No saved circuits yet.</p> : (
+        <div className="library-toolbar">
+          <input type="search" value={query} placeholder="Search names and tags" onChange={e => setQuery(e.target.value)} />
+          <select value={sort} onChange={e => setSort(e.target.value)}>
+            {Object.entries(LIBRARY_SORTS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+        </div>
+      )}
+      {saved.length > 0 && shown.length === 0 && <p>No circuits match “{query}”.</p>}
+      <div className="saved-list">
+        {shown.map(s => {
+          const edit = editing && editing.id === s.id ? editing.field : null;
+          return (
+            <div key={s.id} className="saved-item">
+              <CircuitThumbnail grid={s.grid} />
+              <div className="saved-info">
+                {edit === "name" ? editor(s, "name") : (
+                  <span className="saved-name" title="Double-click to rename" onDoubleClick={() => startEdit(s, "name")}>{s.name}</span>
+                )}
+                <span className="saved-meta">{s.qubitCount}q · {new Date(s.ts).toLocaleDateString()}</span>
+                {edit === "tags" ? editor(s, "tags", "tags, comma separated") : s.tags.length > 0 && (
+                  <span className="saved-tags">
+                    {s.tags.map(t => <button key={t} className="tag-chip" title="Show circuits with this tag" onClick={() => setQuery(t)}>{t}</button>)}
+                  </span>
+                )}
+              </div>
+              <button className="primary" onClick={() => onLoad(s)}>Load</button>
+              <button title="Rename" onClick={() => startEdit(s, "name")}>✎</button>
+              <button title="Edit tags" onClick={() => startEdit(s, "tags")}>🏷</button>
+              <button title="Duplicate" onClick={() => report(onDuplicate(s))}>⧉</button>
+              <button title="Export as JSON" onClick={() => downloadJson(QLibrary.serialize([s]), `${fileSafe(s.name)}.json`)}>⤓</button>
+              <button title="Delete" onClick={() => report(onDelete(s))}>🗑</button>
+            </div>
+          );
+        })}
+      </div>
+      {pending && (
+        <div className="import-conflict">
+          <p>
+            {pending.conflicts.length === 1 ? "A saved circuit is" : `${pending.conflicts.length} saved circuits are`} already
+            named {pending.conflicts.map(n => `"${n}"`).join(", ")}.
+          </p>
+          <button onClick={() => finish(pending.circuits, pending.version, "rename")}>Keep both (rename)</button>
+          <button onClick={() => finish(pending.circuits, pending.version, "overwrite")}>Overwrite</button>
+          <button onClick={() => setPending(null)}>Cancel import</button>
+        </div>
+      )}
+      {notice && <p className="hint">{notice}</p>}
+      {error && <p className="error-hint">{error}</p>}
+      <div className="modal-actions">
+        <label className="file-btn">Import…<input type="file" accept=".json,application/json" onChange={openFile} /></label>
+        <button disabled={saved.length === 0} onClick={() => downloadJson(QLibrary.serialize(saved), "quantum-circuits.json")}>Export all</button>
+        <button onClick={onClose}>Close</button>
+      </div>
+    </Modal>
+  );
+}
+
 // ── Save Modal ─────────────────────────────────────────────────────
-function SaveModal({ onSave, onCancel }) {
+// validate(name) may return an error message that blocks saving.
+function SaveModal({ onSave, onCancel, title = "Save Circuit", prompt = "Give this circuit a name", placeholder = "My Bell State", validate }) {
   const [name, setName] = useState("");
+  const problem = name.trim() && validate ? validate(name.trim()) : null;
   return (
-    <div className="modal-overlay">
-      <div className="modal">
-        <h3>Save Circuit</h3>
-        <p>Give this circuit a name</p>
-        <input value={name} onChange={e => setName(e.target.value)} autoFocus placeholder="My Bell State" />
-        <div className="modal-actions">
-          <button onClick={onCancel}>Cancel</button>
-          <button className="primary" disabled={!name.trim()} onClick={() => onSave(name.trim())}>Save</button>
-        </div>
+    <Modal onClose={onCancel}>
+      <h3>{title}</h3>
+      <p>{prompt}</p>
+      <input value={name} onChange={e => setName(e.target.value)} autoFocus placeholder={placeholder} />
+      {problem && <p className="error-hint">{problem}</p>}
+      <div className="modal-actions">
+        <button onClick={onCancel}>Cancel</button>
+        <button className="primary" disabled={!name.trim() || !!problem} onClick={() => onSave(name.trim())}>Save</button>
       </div>
-    </div>
+    </Modal>
   );
 }
 
@@ -192,48 +1390,406 @@ function PhaseLegend() {
   );
 }
 
+// ── Bloch spheres ──────────────────────────────────────────────────
+// Orthographic view: azimuth 30° (x toward the viewer, y right), 20° elevation.
+const BLOCH_SIZE = 112;
+const BLOCH_AZ = Math.PI / 6;
+const BLOCH_EL = Math.PI / 9;
+
+function blochPoint(x, y, z, r, c) {
+  const h = y * Math.cos(BLOCH_AZ) - x * Math.sin(BLOCH_AZ);
+  const d = x * Math.cos(BLOCH_AZ) + y * Math.sin(BLOCH_AZ);
+  return [c + r * h, c - r * (z * Math.cos(BLOCH_EL) - d * Math.sin(BLOCH_EL))];
+}
+
+function BlochSphere({ vec, label }) {
+  const c = BLOCH_SIZE / 2;
+  const r = c - 16;
+  const len = Math.sqrt(vec.x * vec.x + vec.y * vec.y + vec.z * vec.z);
+  const axis = (x, y, z) => {
+    const [x1, y1] = blochPoint(-x, -y, -z, r, c);
+    const [x2, y2] = blochPoint(x, y, z, r, c);
+    return <line x1={x1} y1={y1} x2={x2} y2={y2} className="bloch-axis" />;
+  };
+  const [tx, ty] = blochPoint(vec.x, vec.y, vec.z, r, c);
+  const [lx, ly] = blochPoint(1.25, 0, 0, r, c);
+  const [ly2x, ly2y] = blochPoint(0, 1.22, 0, r, c);
+  return (
+    <figure className="bloch" title={`r = (${vec.x.toFixed(3)}, ${vec.y.toFixed(3)}, ${vec.z.toFixed(3)})`}>
+      <svg width={BLOCH_SIZE} height={BLOCH_SIZE} viewBox={`0 0 ${BLOCH_SIZE} ${BLOCH_SIZE}`} role="img"
+        aria-label={`${label} Bloch vector x ${vec.x.toFixed(2)}, y ${vec.y.toFixed(2)}, z ${vec.z.toFixed(2)}`}>
+        <circle cx={c} cy={c} r={r} className="bloch-outline" />
+        <ellipse cx={c} cy={c} rx={r} ry={r * Math.sin(BLOCH_EL)} className="bloch-equator" />
+        {axis(1, 0, 0)}{axis(0, 1, 0)}{axis(0, 0, 1)}
+        <text x={c} y={c - r - 4} className="bloch-label">|0⟩</text>
+        <text x={c} y={c + r + 11} className="bloch-label">|1⟩</text>
+        <text x={lx} y={ly + 4} className="bloch-label">x</text>
+        <text x={ly2x + 4} y={ly2y + 3} className="bloch-label">y</text>
+        <line x1={c} y1={c} x2={tx} y2={ty} className="bloch-vector" />
+        <circle cx={tx} cy={ty} r={3.5} className="bloch-tip" />
+      </svg>
+      <figcaption>{label} <span className="bloch-len">|r| {len.toFixed(2)}</span></figcaption>
+    </figure>
+  );
+}
+
+function BlochPanel({ vectors }) {
+  return (
+    <div className="bloch-panel">
+      <h3>Qubit States <span className="chart-note">reduced single-qubit ρ · shorter vector = mixed / entangled</span></h3>
+      <div className="bloch-grid">
+        {vectors.map((v, q) => <BlochSphere key={q} vec={v} label={`q${q}`} />)}
+      </div>
+    </div>
+  );
+}
+
+// ── State analysis ─────────────────────────────────────────────────
+const CONCURRENCE_MAX_QUBITS = 12; // n(n−1)/2 partial traces over 2^n amplitudes
+const SCHMIDT_TERMS_SHOWN = 8;
+
+function formatAmp(a, digits = 4) {
+  if (Math.abs(a.im) < 1e-6) return a.re.toFixed(digits);
+  if (Math.abs(a.re) < 1e-6) return `${a.im.toFixed(digits)}i`;
+  return `(${a.re.toFixed(digits)}${a.im < 0 ? "−" : "+"}${Math.abs(a.im).toFixed(digits)}i)`;
+}
+
+// Local amplitudes over `qubits` (local bit j = qubits[j]) as a ket sum.
+function formatKet(vec, qubits, maxTerms = 4) {
+  const parts = [];
+  let more = 0;
+  vec.forEach((a, i) => {
+    if (a.re * a.re + a.im * a.im < 1e-10) return;
+    if (parts.length === maxTerms) { more++; return; }
+    parts.push(`${formatAmp(a)}|${i.toString(2).padStart(qubits.length, "0")}⟩`);
+  });
+  return parts.join(" + ") + (more ? ` + … (${more} more)` : "");
+}
+
+function StateAnalysis({ data }) {
+  const n = data.qubit_count;
+  const [cut, setCut] = useState([0]);
+
+  useEffect(() => {
+    setCut(prev => {
+      const kept = prev.filter(q => q < n);
+      return kept.length > 0 && kept.length < n ? kept : [0];
+    });
+  }, [n]);
+
+  const entropies = useMemo(() => QAnalysis.entropies(data.statevector), [data]);
+  const concurrence = useMemo(
+    () => (n <= CONCURRENCE_MAX_QUBITS ? QAnalysis.concurrenceMatrix(data.statevector) : null),
+    [data, n]);
+  const schmidt = useMemo(() => {
+    if (n < 2 || cut.length === 0 || cut.length >= n) return null;
+    try { return QAnalysis.schmidt(data.statevector, cut); }
+    catch (e) { return { error: e.message }; }
+  }, [data, n, cut]);
+
+  const product = entropies.every(v => v < 1e-6);
+  const toggleCut = (q) => setCut(prev => prev.includes(q) ? prev.filter(x => x !== q) : [...prev, q].sort((a, b) => a - b));
+  const sideLabel = (qs) => qs.map(q => `q${q}`).reverse().join("");
+
+  return (
+    <div className="analysis">
+      <h3>State Analysis</h3>
+      <div className="stat-chips">
+        <span className={`stat-chip ${product ? "chip-ok" : "chip-warn"}`}>{product ? "Product state" : "Entangled"}</span>
+        <span className="chart-note">von Neumann entropies in bits · 0 = unentangled, 1 = maximally entangled qubit</span>
+      </div>
+
+      <div className="table-wrap">
+        <table className="analysis-table">
+          <thead><tr><th>Qubit</th>{entropies.map((_, q) => <th key={q}>q{q}</th>)}</tr></thead>
+          <tbody><tr><td>S(ρ<sub>q</sub>)</td>{entropies.map((v, q) => <td key={q}>{v.toFixed(4)}</td>)}</tr></tbody>
+        </table>
+      </div>
+
+      <h4>Pairwise concurrence</h4>
+      {concurrence ? (
+        <div className="table-wrap">
+          <table className="analysis-table concurrence-table">
+            <thead><tr><th></th>{concurrence.map((_, j) => <th key={j}>q{j}</th>)}</tr></thead>
+            <tbody>
+              {concurrence.map((row, i) => (
+                <tr key={i}>
+                  <th>q{i}</th>
+                  {row.map((v, j) => (
+                    <td key={j} className={i === j ? "diag" : ""}
+                      style={i === j ? undefined : { background: `rgba(192, 38, 211, ${0.08 + v * 0.6})` }}>
+                      {i === j ? "—" : v.toFixed(3)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="chart-note">Shown for up to {CONCURRENCE_MAX_QUBITS} qubits.</p>
+      )}
+
+      {n >= 2 && (
+        <React.Fragment>
+          <h4>Schmidt decomposition</h4>
+          <div className="cut-picker">
+            <span>Side A:</span>
+            {Array.from({ length: n }, (_, q) => (
+              <label key={q} className={cut.includes(q) ? "on" : ""}>
+                <input type="checkbox" checked={cut.includes(q)} onChange={() => toggleCut(q)} />q{q}
+              </label>
+            ))}
+          </div>
+          {!schmidt && <p className="chart-note">Side A needs at least one qubit and must leave at least one for side B.</p>}
+          {schmidt && schmidt.error && <p className="error-hint">{schmidt.error}</p>}
+          {schmidt && !schmidt.error && (
+            <div className="schmidt">
+              <div className="stat-chips">
+                <span className="stat-chip">Cut <strong>{sideLabel(schmidt.qubitsA)} | {sideLabel(schmidt.qubitsB)}</strong></span>
+                <span className="stat-chip">Schmidt rank <strong>{schmidt.rank}</strong></span>
+                <span className="stat-chip">Entanglement entropy <strong>{schmidt.entropy.toFixed(4)}</strong></span>
+              </div>
+              <ol className="schmidt-terms">
+                {schmidt.terms.slice(0, SCHMIDT_TERMS_SHOWN).map((t, k) => (
+                  <li key={k}>
+                    <span className="schmidt-coef">{t.coef.toFixed(4)}</span>
+                    <span>[{formatKet(t.a, schmidt.qubitsA)}]<sub>A</sub> ⊗ [{formatKet(t.b, schmidt.qubitsB)}]<sub>B</sub></span>
+                  </li>
+                ))}
+              </ol>
+              {schmidt.rank > SCHMIDT_TERMS_SHOWN && <p className="chart-note">Largest {SCHMIDT_TERMS_SHOWN} of {schmidt.rank} terms.</p>}
+            </div>
+          )}
+        </React.Fragment>
+      )}
+    </div>
+  );
+}
+
+// ── Basis-state helpers ────────────────────────────────────────────
+function basisLabel(i, n) {
+  return "|" + i.toString(2).padStart(n, "0") + "⟩";
+}
+
+function maxOf(values, floor) {
+  let m = floor;
+  for (const v of values) if (v > m) m = v;
+  return m;
+}
+
+// Keys of the k largest values, returned in their original order.
+// Keeps a small sorted window so 2^20 basis states stay a single pass.
+function topKeys(keys, valueOf, k) {
+  if (keys.length <= k) return keys;
+  const best = []; // ascending by value, at most k long
+  for (const key of keys) {
+    const v = valueOf(key);
+    if (best.length === k && v <= valueOf(best[0])) continue;
+    let pos = best.findIndex(b => valueOf(b) > v);
+    if (pos < 0) pos = best.length;
+    best.splice(pos, 0, key);
+    if (best.length > k) best.shift();
+  }
+  const keep = new Set(best);
+  return keys.filter(key => keep.has(key));
+}
+
+// Bit-pattern filter: "?" (or "*") matches either bit, anything shorter
+// than the full width matches as a substring of the bitstring.
+function bitPatternRegex(pattern) {
+  const clean = pattern.trim().replace(/[^01?*]/g, "");
+  if (!clean) return null;
+  return new RegExp(clean.replace(/[?*]/g, "[01]"));
+}
+
+// ── Counts Histogram ───────────────────────────────────────────────
+function CountsChart({ counts, shots, topK }) {
+  const keys = topKeys(Object.keys(counts).sort(), k => counts[k], topK);
+  const maxCount = maxOf(keys.map(k => counts[k]), 1);
+  return (
+    <div className="bar-chart" role="img"
+      aria-label={"Counts: " + keys.map(k => `${k} ${counts[k]} times`).join(", ")}>
+      {keys.map(k => (
+        <div className="bar-group" key={k}>
+          <div className="bar bar-counts" style={{ height: `${(counts[k] / maxCount) * 160}px` }}>
+            <span className="bar-val" title={`${((counts[k] / shots) * 100).toFixed(1)}%`}>{counts[k]}</span>
+          </div>
+          <span className="bar-label">{k}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 // ── Results Panel ──────────────────────────────────────────────────
+const TOP_K_OPTIONS     = [8, 16, 32, 64];
+const RESULTS_PAGE_SIZE = 32;
+const SUMMARY_STATES    = 4;
+
+// One or two sentences announced to screen readers after every run,
+// e.g. "Simulation results: most likely |00⟩ 50.0%, |11⟩ 50.0%."
+function resultsSummary(data) {
+  if (!data) return "";
+  const n = data.qubit_count;
+  const probs = data.probabilities;
+  const indices = Array.from({ length: probs.length }, (_, i) => i).filter(i => probs[i] > 1e-10);
+  const top = topKeys(indices, i => probs[i], SUMMARY_STATES).sort((a, b) => probs[b] - probs[a]);
+  const more = indices.length > top.length ? ` and ${indices.length - top.length} more states` : "";
+  let text = `${data.step != null ? `State after t${data.step}` : "Simulation results"}: most likely `
+    + top.map(i => `${basisLabel(i, n)} ${(probs[i] * 100).toFixed(1)}%`).join(", ") + more + ".";
+  if (data.counts) {
+    const keys = topKeys(Object.keys(data.counts), k => data.counts[k], SUMMARY_STATES).sort((a, b) => data.counts[b] - data.counts[a]);
+    text += ` Measured over ${data.shots} shots: ` + keys.map(k => `${k}: ${data.counts[k]}`).join(", ") + ".";
+  }
+  return text;
+}
+
 function Results({ data }) {
+  const [topK, setTopK]         = useState(16);
+  const [pattern, setPattern]   = useState("");
+  const [hideZero, setHideZero] = useState(true);
+  const [sortBy, setSortBy]     = useState("index");
+  const [page, setPage]         = useState(0);
+
+  useEffect(() => setPage(0), [data, pattern, hideZero, sortBy]);
+
+  const rows = useMemo(() => {
+    if (!data) return [];
+    const n = data.qubit_count;
+    const probs = data.probabilities;
+    const re = bitPatternRegex(pattern);
+    const out = [];
+    for (let i = 0; i < probs.length; i++) {
+      if (hideZero && probs[i] < 1e-10) continue;
+      if (re && !re.test(i.toString(2).padStart(n, "0"))) continue;
+      out.push(i);
+    }
+    if (sortBy === "probability") out.sort((a, b) => probs[b] - probs[a]);
+    return out;
+  }, [data, pattern, hideZero, sortBy]);
+
+  const shown = useMemo(() => {
+    if (!data) return [];
+    const indices = Array.from({ length: data.probabilities.length }, (_, i) => i);
+    return topKeys(indices, i => data.probabilities[i], topK);
+  }, [data, topK]);
+
+  const bloch = useMemo(() => {
+    if (!data) return null;
+    if (data.bloch) return data.bloch;
+    return data.statevector ? QSim.blochVectors(data.statevector) : null;
+  }, [data]);
+
   if (!data) return null;
   const n = data.qubit_count;
-  const labels = data.probabilities.map((_, i) => "|" + i.toString(2).padStart(n, "0") + "⟩");
-  const maxProb = Math.max(...data.probabilities, 0.001);
+  const dim = data.probabilities.length;
+  const mixed = data.method === "density";
+  const maxProb = maxOf(shown.map(i => data.probabilities[i]), 0.001);
+  const pageCount = Math.max(1, Math.ceil(rows.length / RESULTS_PAGE_SIZE));
+  const pageRows = rows.slice(page * RESULTS_PAGE_SIZE, (page + 1) * RESULTS_PAGE_SIZE);
+  const countKeys = data.counts ? Object.keys(data.counts).length : 0;
+  const truncated = dim > topK || countKeys > topK;
 
   return (
     <div className="results">
-      <h2>Simulation Results</h2>
-      <h3>Probabilities</h3>
-      <PhaseLegend />
-      <div className="bar-chart">
-        {data.probabilities.map((p, i) => (
-          <div className="bar-group" key={i}>
-            <div className="bar" style={{ height: `${(p / maxProb) * 160}px`, background: p > 1e-8 ? phaseToColor(data.phases[i]) : "var(--border)" }}>
-              <span className="bar-val">{(p * 100).toFixed(1)}%</span>
-            </div>
-            <span className="bar-label">{labels[i]}</span>
+      <h2>{data.step != null ? `State after t${data.step}` : "Simulation Results"}</h2>
+      {mixed && (
+        <div className="stat-chips">
+          <span className="stat-chip" title="Tr(ρ²) — 1 for a pure state">Purity <strong>{data.purity.toFixed(4)}</strong></span>
+          <span className="stat-chip" title="⟨ψ|ρ|ψ⟩ against the noiseless run">Fidelity vs ideal <strong>{data.fidelity.toFixed(4)}</strong></span>
+          <span className="chart-note">Density-matrix simulation</span>
+        </div>
+      )}
+      {truncated && (
+        <div className="results-toolbar">
+          <label>Chart shows top
+            <select value={topK} onChange={e => setTopK(+e.target.value)}>
+              {TOP_K_OPTIONS.map(k => <option key={k} value={k}>{k}</option>)}
+            </select>
+          </label>
+          <span className="chart-note">of {dim.toLocaleString()} basis states</span>
+        </div>
+      )}
+      <div className="chart-pair">
+        <div className="chart-pane">
+          <h3>Probabilities{data.counts ? " before measurement" : ""}</h3>
+          {data.mid_circuit_measurement && (
+            <p className="chart-note">Gates act after a measurement, which this state leaves out; the shot counts include it.</p>
+          )}
+          {!mixed && <PhaseLegend />}
+          <div className="bar-chart" role="img"
+            aria-label={"Probabilities: " + shown.map(i => `${basisLabel(i, n)} ${(data.probabilities[i] * 100).toFixed(1)}%`).join(", ")}>
+            {shown.map(i => {
+              const p = data.probabilities[i];
+              const color = mixed ? "var(--accent2)" : phaseToColor(data.phases[i]);
+              return (
+                <div className="bar-group" key={i}>
+                  <div className="bar" style={{ height: `${(p / maxProb) * 160}px`, background: p > 1e-8 ? color : "var(--border)" }}>
+                    <span className="bar-val">{(p * 100).toFixed(1)}%</span>
+                  </div>
+                  <span className="bar-label">{basisLabel(i, n)}</span>
+                </div>
+              );
+            })}
           </div>
-        ))}
+        </div>
+        {data.counts && (
+          <div className="chart-pane">
+            <h3>Measurement Counts ({data.shots} shots)</h3>
+            <p className="chart-note">Classical bits {data.clbit_count > 1 ? `c${data.clbit_count - 1}…c0` : "c0"}</p>
+            <CountsChart counts={data.counts} shots={data.shots} topK={topK} />
+          </div>
+        )}
       </div>
 
-      <h3>Phases &amp; Amplitudes</h3>
+      {bloch && <BlochPanel vectors={bloch} />}
+      <h3>{mixed ? "Basis-state Probabilities" : <React.Fragment>Phases &amp; Amplitudes</React.Fragment>}</h3>
+      <div className="results-toolbar">
+        <input className="bit-filter" value={pattern} onChange={e => setPattern(e.target.value)}
+          placeholder="Filter bits, e.g. 1?0" />
+        <label className="auto-toggle"><input type="checkbox" checked={hideZero} onChange={e => setHideZero(e.target.checked)} />Hide zero</label>
+        <label>Sort:
+          <select value={sortBy} onChange={e => setSortBy(e.target.value)}>
+            <option value="index">Basis order</option>
+            <option value="probability">Probability</option>
+          </select>
+        </label>
+        <span className="chart-note">{rows.length.toLocaleString()} of {dim.toLocaleString()} states</span>
+      </div>
       <div className="phase-table">
         <table>
-          <thead><tr><th>State</th><th>Phase (rad)</th><th>Phase (π)</th><th>Amplitude</th></tr></thead>
+          <thead><tr><th>State</th><th>Probability</th>{!mixed && <React.Fragment><th>Phase (rad)</th><th>Phase (π)</th><th>Amplitude</th></React.Fragment>}</tr></thead>
           <tbody>
-            {data.statevector.map((sv, i) => (
-              <tr key={i}>
-                <td>{labels[i]}</td>
-                <td>{data.phases[i].toFixed(4)}</td>
-                <td className="phase-pi">
-                  <span className="swatch-inline" style={{ background: phaseToColor(data.phases[i]) }} />
-                  {phaseToPi(data.phases[i])}
-                </td>
-                <td>{sv.re.toFixed(4)} {sv.im >= 0 ? "+" : "−"} {Math.abs(sv.im).toFixed(4)}i</td>
-              </tr>
-            ))}
+            {pageRows.map(i => {
+              if (mixed) {
+                return <tr key={i}><td>{basisLabel(i, n)}</td><td>{(data.probabilities[i] * 100).toFixed(2)}%</td></tr>;
+              }
+              const sv = data.statevector[i];
+              return (
+                <tr key={i}>
+                  <td>{basisLabel(i, n)}</td>
+                  <td>{(data.probabilities[i] * 100).toFixed(2)}%</td>
+                  <td>{data.phases[i].toFixed(4)}</td>
+                  <td className="phase-pi">
+                    <span className="swatch-inline" style={{ background: phaseToColor(data.phases[i]) }} />
+                    {phaseToPi(data.phases[i])}
+                  </td>
+                  <td>{sv.re.toFixed(4)} {sv.im >= 0 ? "+" : "−"} {Math.abs(sv.im).toFixed(4)}i</td>
+                </tr>
+              );
+            })}
           </tbody>
         </table>
       </div>
+      {pageCount > 1 && (
+        <div className="pager">
+          <button disabled={page === 0} onClick={() => setPage(page - 1)}>‹ Prev</button>
+          <span>Page {page + 1} / {pageCount}</span>
+          <button disabled={page >= pageCount - 1} onClick={() => setPage(page + 1)}>Next ›</button>
+        </div>
+      )}
+      {!mixed && data.statevector && <StateAnalysis data={data} />}
     </div>
   );
 }
@@ -301,9 +1857,10 @@ function HowToUse() {
             <span className="howto-card-icon">1️⃣</span>
             <h3>Choose Your Qubits</h3>
             <p>
-              Select 1–4 qubits from the dropdown at the top of the composer.
+              Select 1–{MAX_QUBITS} qubits from the dropdown at the top of the composer.
               Each qubit starts in the <code>|0⟩</code> state. More qubits = more
-              computational states to explore.
+              computational states to explore. Changing the count keeps your gates,
+              and dragging a wire label moves that wire.
             </p>
           </div>
 
@@ -333,6 +1890,8 @@ function HowToUse() {
             <p>
               Save your circuits locally and reload them anytime. Great for
               experimenting with different configurations or comparing results.
+              Search, tag and rename them in the library, and export it as JSON to
+              back it up or move it to another machine.
             </p>
           </div>
 
@@ -340,9 +1899,43 @@ function HowToUse() {
             <span className="howto-card-icon">🖱️</span>
             <h3>Edit & Remove</h3>
             <p>
-              <strong>Right-click</strong> any placed gate to remove it.
+              <strong>Right-click</strong> any placed gate to remove it, <strong>double-click</strong> it to
+              change its angle or wiring, or drag it somewhere else (hold Ctrl to copy).
               Click an empty cell to place the currently selected gate.
+              In <strong>Select</strong> mode, copy, cut and paste whole regions.
               Use the <strong>Clear</strong> button to reset the entire circuit.
+              Made a mistake? <strong>Ctrl+Z</strong> undoes it and <strong>Ctrl+Shift+Z</strong> redoes.
+            </p>
+          </div>
+
+          <div className="howto-card">
+            <span className="howto-card-icon">⌨️</span>
+            <h3>Keyboard</h3>
+            <p>
+              Tab into the grid and move with the <strong>arrow keys</strong>. Type <strong>H</strong>,
+              <strong> X</strong>, <strong>Y</strong>, <strong>Z</strong>, <strong>S</strong>, <strong>T</strong> (Shift for S† and T†),
+              <strong> M</strong> or <strong>C</strong> (CX) to place a gate, <strong>Enter</strong> to place the
+              palette's gate and <strong>Delete</strong> to remove one. Dialogs keep focus until you close them with Escape.
+            </p>
+          </div>
+
+          <div className="howto-card">
+            <span className="howto-card-icon">▭</span>
+            <h3>Sub-circuits</h3>
+            <p>
+              Press <strong>Select</strong>, drag over a block of gates and save it
+              as a named sub-circuit. Place it from the palette like any gate, and
+              click it on the grid to expand or collapse its contents.
+            </p>
+          </div>
+
+          <div className="howto-card">
+            <span className="howto-card-icon">📉</span>
+            <h3>VQE</h3>
+            <p>
+              Press <strong>VQE</strong>, enter a Hamiltonian such as <code>0.5*ZZ - 0.3*XI</code> and
+              run an optimizer over your Rx/Ry/Rz angles. Watch the energy fall, then
+              apply the best angles to the grid.
             </p>
           </div>
 
@@ -350,8 +1943,8 @@ function HowToUse() {
             <span className="howto-card-icon">🔄</span>
             <h3>Rotation Gates</h3>
             <p>
-              Gates like <code>Rx</code>, <code>Ry</code>, <code>Rz</code> prompt you
-              for an angle in radians. Use <code>π/2 ≈ 1.5708</code> or
+              Gates like <code>Rx</code>, <code>Ry</code>, <code>Rz</code>, <code>CRx</code>
+              and <code>CP</code> prompt you for an angle in radians (<code>U3</code> for three). Use <code>π/2 ≈ 1.5708</code> or
               <code>π/4 ≈ 0.7854</code> for common rotations.
             </p>
           </div>
@@ -370,11 +1963,20 @@ function HowToUse() {
               <tr><td className="gate-name">Z</td><td>Single</td><td>Pauli-Z — phase flip</td></tr>
               <tr><td className="gate-name">S</td><td>Single</td><td>S gate — π/2 phase shift</td></tr>
               <tr><td className="gate-name">T</td><td>Single</td><td>T gate — π/4 phase shift</td></tr>
+              <tr><td className="gate-name">Sdg</td><td>Single</td><td>S† — −π/2 phase shift</td></tr>
+              <tr><td className="gate-name">Tdg</td><td>Single</td><td>T† — −π/4 phase shift</td></tr>
+              <tr><td className="gate-name">SX</td><td>Single</td><td>√X — square root of NOT</td></tr>
               <tr><td className="gate-name">Rx</td><td>Rotation</td><td>Rotation around X-axis by angle θ</td></tr>
               <tr><td className="gate-name">Ry</td><td>Rotation</td><td>Rotation around Y-axis by angle θ</td></tr>
               <tr><td className="gate-name">Rz</td><td>Rotation</td><td>Rotation around Z-axis by angle θ</td></tr>
+              <tr><td className="gate-name">U3</td><td>Rotation</td><td>General single-qubit unitary U(θ, φ, λ)</td></tr>
               <tr><td className="gate-name">CX</td><td>Multi</td><td>Controlled-NOT (CNOT) — entangles two qubits</td></tr>
+              <tr><td className="gate-name">CY / CZ / CH</td><td>Multi</td><td>Controlled Y, Z and Hadamard</td></tr>
+              <tr><td className="gate-name">CRx / CRy / CRz</td><td>Multi</td><td>Controlled rotations by angle θ</td></tr>
+              <tr><td className="gate-name">CP</td><td>Multi</td><td>Controlled phase — phase e^(iλ) on |11⟩</td></tr>
+              <tr><td className="gate-name">SWAP</td><td>Multi</td><td>Exchanges the states of two qubits</td></tr>
               <tr><td className="gate-name">CCX</td><td>Multi</td><td>Toffoli — 3-qubit controlled-controlled-NOT</td></tr>
+              <tr><td className="gate-name">M</td><td>Measure</td><td>Measurement into a classical bit — sampled over many shots</td></tr>
             </tbody>
           </table>
         </div>
@@ -387,39 +1989,123 @@ function HowToUse() {
 function App() {
   const [activeTab, setActiveTab] = useState("home");
   const [qubitCount, setQubitCount] = useState(2);
-  const [grid, setGrid]           = useState(emptyGrid(2));
+  const [grid, setGridState]      = useState(emptyGrid(2));
+  // Every grid edit goes through fitColumns, so the grid grows as gates are added
+  const setGrid = useCallback((g) => setGridState(prev => fitColumns(typeof g === "function" ? g(prev) : g)), []);
+  const steps = grid[0].length;
+  const [zoom, setZoom]           = useState(1);
   const [selectedGate, setGate]   = useState("H");
   const [modal, setModal]         = useState(null);
   const [results, setResults]     = useState(null);
   const [error, setError]         = useState(null);
   const [loading, setLoading]     = useState(false);
   const [autoSim, setAutoSim]     = useState(false);
+  const [shots, setShots]         = useState(DEFAULT_SHOTS);
+  const [progress, setProgress]   = useState(null);
+  const [noiseCfg, setNoiseCfg]   = useState(DEFAULT_NOISE);
+  const [initState, setInitState] = useState(null);
+  const [showInit, setShowInit]   = useState(false);
+  const [debugCol, setDebugCol]   = useState(null); // step-through cursor, null = off
+  const [snapshot, setSnapshot]   = useState(null);
+  const runIdRef = useRef(0);
   const debounceRef = useRef(null);
-  const [saved, setSaved]         = useState(loadSaved);
+  const [saved, setSaved]         = useState([]);
   const [showSave, setShowSave]   = useState(false);
   const [showLoad, setShowLoad]   = useState(false);
+  const [showQasm, setShowQasm]   = useState(false);
+  const [showUnitary, setShowUnitary] = useState(false);
+  const [showVqe, setShowVqe]     = useState(false);
+  const [shareUrl, setShareUrl]   = useState(null);
+  const [customGates, setCustomGates] = useState(loadCustomGates);
+  const [showDefine, setShowDefine] = useState(false);
+  const [subcircuits, setSubcircuits] = useState(loadSubcircuits);
+  const [selecting, setSelecting] = useState(false);
+  const [selection, setSelection] = useState(null); // { r0, r1, c0, c1 }
+  const [showBlockSave, setShowBlockSave] = useState(false);
+  const selAnchorRef = useRef(null);
   const [dragging, setDragging]   = useState(null);
+  const [cursor, setCursor]       = useState({ row: 0, col: 0 }); // keyboard cell cursor
+  const [clipboard, setClipboard] = useState(null); // { wires, width, cells } from clipFromGrid
+  const gridRef = useRef(null);
+  const [paramValues, setParamValues] = useState({});
+  // buildProgram throws for blocks whose sub-circuit is gone (e.g. after
+  // undoing past its deletion); lintGrid marks those cells.
+  const symbols = useMemo(() => {
+    try { return QParams.symbols(buildProgram(grid, subcircuits)); } catch { return []; }
+  }, [grid, subcircuits]);
+  // Every free symbol gets a value, new ones PARAM_DEFAULT
+  const bindings = useMemo(
+    () => Object.fromEntries(symbols.map(n => [n, n in paramValues ? paramValues[n] : PARAM_DEFAULT])),
+    [symbols, paramValues]);
+  const [program, programError] = useMemo(() => {
+    try { return [buildProgram(grid, subcircuits, bindings), null]; } catch (e) { return [[], e.message]; }
+  }, [grid, subcircuits, bindings]);
+  useEffect(() => { if (programError) setError(programError); }, [programError]);
+  const lint = useMemo(() => lintGrid(grid, qubitCount, subcircuits, customGates), [grid, qubitCount, subcircuits, customGates]);
+  // "row-col" → issues touching that cell, for the inline markers
+  const lintCells = useMemo(() => {
+    const map = new Map();
+    for (const issue of lint) {
+      for (const [r, c] of issue.cells) {
+        const key = `${r}-${c}`;
+        if (!map.has(key)) map.set(key, []);
+        if (!map.get(key).includes(issue)) map.get(key).push(issue);
+      }
+    }
+    return map;
+  }, [lint]);
+  const [observables, setObservables] = useState(loadObservables);
+  const [observableValues, setObservableValues] = useState({});
+  const observableList = useMemo(() => {
+    if (qubitCount > OBSERVABLES_MAX_QUBITS) return null;
+    return observableRows(qubitCount, observables, observableValues);
+  }, [qubitCount, observables, observableValues]);
+
+  // One worker run for all valid rows; an edit cancels the run before it.
+  useEffect(() => {
+    if (qubitCount > OBSERVABLES_MAX_QUBITS) return;
+    const texts = observableRows(qubitCount, observables, {}).filter(r => !r.error).map(r => r.text);
+    if (!texts.length) return;
+    let job = null;
+    const timer = setTimeout(() => {
+      job = SimService.expectation(qubitCount, program, texts,
+        { noise: buildNoiseModel(noiseCfg), initial: initialOption(initState) });
+      job.then(values => setObservableValues(Object.fromEntries(texts.map((t, i) => [t, { value: values[i] }]))))
+        .catch(e => { if (!e.cancelled) setObservableValues(Object.fromEntries(texts.map(t => [t, { error: e.message }]))); });
+    }, OBSERVABLES_DEBOUNCE_MS);
+    return () => { clearTimeout(timer); if (job) SimService.cancel(job.id); };
+  }, [qubitCount, program, observables, noiseCfg, initState]);
 
   // ── simulate ───────────────────────────────────────────────────
   const doSimulate = useCallback(async (g, qc) => {
     const theGrid = g || grid;
     const theQC   = qc || qubitCount;
     if (!gridHasGates(theGrid)) return;
+    let program;
+    try { program = buildProgram(theGrid, subcircuits, bindings); }
+    catch (e) { setError(e.message); setResults(null); return; }
+    const runId = ++runIdRef.current;
     setError(null);
     setLoading(true);
-    const program = buildProgram(theGrid);
+    setProgress(0);
     try {
-      // Use client-side simulator (instant, no network)
-      const body = QSim.simulate(theQC, program);
+      // Client-side simulator in a Web Worker (no network, UI stays responsive)
+      const body = await SimService.simulate(theQC, program, {
+        shots,
+        noise: buildNoiseModel(noiseCfg),
+        initial: initialOption(initState),
+        onProgress: (done, total) => { if (runIdRef.current === runId) setProgress(done / total); },
+      });
       setResults(body);
     } catch (e) {
+      if (e.cancelled) return; // superseded by an edit or a newer run
       if (USE_SERVER_FALLBACK) {
         // Fallback to server if client sim fails and fallback enabled
         try {
           const resp = await fetch(API_URL, {
             method: "POST",
             headers: { "Content-Type": "application/json" },
-            body: JSON.stringify({ qubit_count: theQC, program }),
+            body: JSON.stringify({ qubit_count: theQC, program, initial_state: initialOption(initState) }),
           });
           const body = await resp.json();
           if (!resp.ok) { setError(body.detail || JSON.stringify(body)); setResults(null); }
@@ -430,36 +2116,211 @@ function App() {
         setResults(null);
       }
     }
-    finally { setLoading(false); }
-  }, [grid, qubitCount]);
+    finally {
+      if (runIdRef.current === runId) { setLoading(false); setProgress(null); }
+    }
+  }, [grid, qubitCount, shots, noiseCfg, initState, subcircuits, bindings]);
+
+  const cancelSimulate = useCallback(() => SimService.cancel(), []);
+
+  // ── cancel a run in progress when the circuit changes ──────────
+  useEffect(() => { SimService.cancel(); }, [grid, qubitCount]);
+
+  // ── step-through debugger ──────────────────────────────────────
+  // While the cursor is set, Results shows the state after column debugCol.
+  useEffect(() => {
+    if (debugCol == null) return;
+    const runId = ++runIdRef.current;
+    setError(null);
+    setLoading(true);
+    setProgress(0);
+    let columns;
+    try { columns = buildSteps(grid, subcircuits, bindings); }
+    catch (e) { setError(e.message); setSnapshot(null); setLoading(false); setProgress(null); return; }
+    SimService.simulateSteps(qubitCount, columns, {
+      at: [debugCol],
+      noise: buildNoiseModel(noiseCfg),
+      initial: initialOption(initState),
+      onProgress: (done, total) => { if (runIdRef.current === runId) setProgress(done / total); },
+    })
+      .then(([snap]) => setSnapshot(snap))
+      .catch(e => { if (!e.cancelled) { setError("Client simulation error: " + e.message); setSnapshot(null); } })
+      .finally(() => { if (runIdRef.current === runId) { setLoading(false); setProgress(null); } });
+  }, [debugCol, grid, qubitCount, noiseCfg, initState, subcircuits, bindings]);
+
+  const stepTo = useCallback((col) => setDebugCol(Math.min(steps - 1, Math.max(0, col))), [steps]);
+  useEffect(() => { if (debugCol != null && debugCol >= steps) setDebugCol(steps - 1); }, [debugCol, steps]);
+  const exitDebug = useCallback(() => { setDebugCol(null); setSnapshot(null); }, []);
+
+  // ── undo / redo ────────────────────────────────────────────────
+  // Every change to the circuit (grid, qubit count, input state) pushes
+  // the previous version onto `past`, whichever handler made it.
+  const [history, setHistory] = useState({ past: [], future: [] });
+  const docRef = useRef(null);
+  const restoringRef = useRef(false);
+
+  useEffect(() => {
+    const prev = docRef.current;
+    docRef.current = { grid, qubitCount, initState };
+    if (!prev) return;
+    if (restoringRef.current) { restoringRef.current = false; return; }
+    setHistory(h => ({ past: [...h.past, prev].slice(-HISTORY_LIMIT), future: [] }));
+  }, [grid, qubitCount, initState]);
+
+  const restore = useCallback((doc) => {
+    restoringRef.current = true;
+    if (doc.qubitCount !== qubitCount) setResults(null);
+    setQubitCount(doc.qubitCount); setGrid(doc.grid); setInitState(doc.initState); setError(null);
+  }, [qubitCount]);
+
+  const undo = useCallback(() => {
+    const { past, future } = history;
+    if (!past.length) return;
+    setHistory({ past: past.slice(0, -1), future: [docRef.current, ...future] });
+    restore(past[past.length - 1]);
+  }, [history, restore]);
+
+  const redo = useCallback(() => {
+    const { past, future } = history;
+    if (!future.length) return;
+    setHistory({ past: [...past, docRef.current], future: future.slice(1) });
+    restore(future[0]);
+  }, [history, restore]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y); text fields keep their own undo.
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const t = e.target;
+      if (t && (t.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(t.tagName))) return;
+      const k = e.key.toLowerCase();
+      if (k === "z" && !e.shiftKey) undo();
+      else if ((k === "z" && e.shiftKey) || k === "y") redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [undo, redo]);
 
   // ── auto-sim debounce ──────────────────────────────────────────
   useEffect(() => {
-    if (!autoSim) return;
+    if (!autoSim || debugCol != null) return;
     if (debounceRef.current) clearTimeout(debounceRef.current);
     debounceRef.current = setTimeout(() => doSimulate(grid, qubitCount), DEBOUNCE_MS);
     return () => clearTimeout(debounceRef.current);
-  }, [grid, qubitCount, autoSim]);
+  }, [grid, qubitCount, shots, noiseCfg, initState, autoSim, debugCol]);
+
+  // Moving a parameter slider re-runs the circuit whenever results are
+  // on screen (step mode re-runs through its own effect).
+  useEffect(() => {
+    if (!(autoSim || results) || debugCol != null) return;
+    if (debounceRef.current) clearTimeout(debounceRef.current);
+    debounceRef.current = setTimeout(() => doSimulate(grid, qubitCount), PARAM_DEBOUNCE_MS);
+    return () => clearTimeout(debounceRef.current);
+  }, [paramValues]);
+
+  const setParam = useCallback((name, value) => setParamValues(prev => ({ ...prev, [name]: value })), []);
 
-  const changeQubits = useCallback((n) => { setQubitCount(n); setGrid(emptyGrid(n)); setResults(null); setError(null); }, []);
+  // Adding wires keeps the circuit; removing them drops only the gates
+  // that use them, after asking.
+  const changeQubits = useCallback((n) => {
+    if (n === grid.length) return;
+    const dropped = gatesBeyond(grid, n);
+    if (dropped.length) {
+      const wires = n === grid.length - 1 ? `q${n}` : `q${n}–q${grid.length - 1}`;
+      const list = dropped.slice(0, 5).map(g => `${g.gate} at t${g.col}`).join(", ") + (dropped.length > 5 ? ", …" : "");
+      const count = dropped.length === 1 ? "1 gate" : `${dropped.length} gates`;
+      if (!window.confirm(`Removing ${wires} also removes ${count} using ${n === grid.length - 1 ? "it" : "them"}: ${list}. Continue?`)) return;
+    }
+    setQubitCount(n); setGrid(resizeGrid(grid, n)); setInitState(prev => resizeInit(prev, n)); setResults(null); setError(null);
+  }, [grid]);
+
+  // Dragging a wire label (or Shift+↑/↓ on it) moves the wire; gates and
+  // the input state go with it.
+  const moveWire = useCallback((from, to) => {
+    if (from === to || to < 0 || to >= grid.length) return;
+    const perm = wireMove(grid.length, from, to);
+    try {
+      setGrid(permuteWires(grid, perm));
+      setInitState(prev => permuteInit(prev, perm));
+      setResults(null); setError(null);
+    } catch (e) { setError(e.message); }
+  }, [grid]);
+
+  // Clicking a wire label cycles its input state; amplitude vectors are
+  // edited in the initial-state modal.
+  const cycleWireState = useCallback((q) => {
+    if (initState && initState.amplitudes) { setShowInit(true); return; }
+    const wires = (resizeInit(initState, qubitCount) || { wires: Array(qubitCount).fill("0") }).wires.slice();
+    wires[q] = WIRE_STATES[(WIRE_STATES.indexOf(wires[q]) + 1) % WIRE_STATES.length];
+    setInitState(wires.every(l => l === "0") ? null : { wires });
+  }, [initState, qubitCount]);
 
   // ── place gate ─────────────────────────────────────────────────
+  // ── sub-circuits ───────────────────────────────────────────────
+  // Writes a block's cells if every one of them is free (or already
+  // belongs to the same block); otherwise reports why not.
+  const writeBlock = useCallback((cells, self, what) => {
+    const fits = cells.every(([r, c]) => r < grid.length && (c >= steps || !grid[r][c] || (self && sameBlock(grid[r][c], self))));
+    if (!fits) { setError(`Not enough free cells to ${what}`); return false; }
+    setError(null);
+    setGrid(prev => {
+      const width = Math.max(steps, ...cells.map(([, c]) => c + 1));
+      const next = withWidth(prev, width).map(r => r.map(c => (c && self && sameBlock(c, self) ? null : c)));
+      for (const [r, c, cell] of cells) next[r][c] = cell;
+      return next;
+    });
+    return true;
+  }, [grid, steps]);
+
+  const placeBlock = useCallback((def, row, col) => {
+    writeBlock(blockCells(def, row, col, false), null, `place ${def.name} (${def.wires} wires from q${row})`);
+  }, [writeBlock]);
+
+  const toggleBlock = useCallback((cell) => {
+    const def = subcircuits.find(d => d.name === cell.gate);
+    if (!def) { setError(`Sub-circuit ${cell.gate} no longer exists`); return; }
+    writeBlock(blockCells(def, cell.top, cell.left, !cell.expanded), cell, `expand ${def.name} (${def.width} columns)`);
+  }, [subcircuits, writeBlock]);
+
   const placeGate = useCallback((gateName, row, col) => {
+    const block = subcircuits.find(d => d.name === gateName);
+    if (block) { placeBlock(block, row, col); return; }
+    const custom = customGates.find(d => d.name === gateName);
     if (ROTATION_GATES.includes(gateName)) { setModal({ type: "angle", row, col, gate: gateName }); return; }
     if (MULTI_GATES.includes(gateName)) { setModal({ type: "multi", row, col, gate: gateName }); return; }
+    if (MEASURE_GATES.includes(gateName)) { setModal({ type: "measure", row, col, gate: gateName }); return; }
+    if (custom && gateQubits(custom) === 2) { setModal({ type: "multi", row, col, gate: gateName, custom: true }); return; }
     setGrid(prev => {
       const next = prev.map(r => [...r]);
       if (next[row][col] && next[row][col].gate === gateName) next[row][col] = null;
-      else next[row][col] = { gate: gateName };
+      else next[row][col] = custom ? { gate: gateName, custom: true } : { gate: gateName };
       return next;
     });
-  }, []);
+  }, [customGates, subcircuits, placeBlock]);
 
   const handleCellClick = useCallback((row, col) => placeGate(selectedGate, row, col), [selectedGate, placeGate]);
 
-  const confirmAngle = useCallback((angle) => {
-    if (!modal || isNaN(angle)) { setModal(null); return; }
-    setGrid(prev => { const n = prev.map(r => [...r]); n[modal.row][modal.col] = { gate: modal.gate, angle }; return n; });
+  // Reopens the dialog a placed gate came from, filled in with its angles,
+  // wiring or classical bit. Plain gates have nothing to edit.
+  const editCell = useCallback((row, col) => {
+    const cell = grid[row][col];
+    if (!cell || cell.block) return;
+    if (cell.gate === "M") setModal({ type: "measure", row, col, gate: "M", initial: cell.cbit });
+    else if (cell.role) setModal({ type: "multi", row, col, gate: cell.gate, custom: !!cell.custom, initial: cellToOp(cell, row) });
+    else if (GATE_PARAMS[cell.gate]) setModal({ type: "angle", row, col, gate: cell.gate, initial: cell });
+  }, [grid]);
+
+  const confirmAngle = useCallback((params) => {
+    if (!modal) return;
+    setGrid(prev => { const n = prev.map(r => [...r]); n[modal.row][modal.col] = { gate: modal.gate, ...params }; return n; });
+    setModal(null);
+  }, [modal]);
+
+  const confirmMeasure = useCallback((cbit) => {
+    if (!modal) return;
+    setGrid(prev => { const n = prev.map(r => [...r]); n[modal.row][modal.col] = { gate: "M", cbit }; return n; });
     setModal(null);
   }, [modal]);
 
@@ -468,54 +2329,342 @@ function App() {
     const g = modal.gate.toLowerCase();
     setGrid(prev => {
       const next = prev.map(r => [...r]);
-      for (let r = 0; r < next.length; r++) { if (next[r][modal.col] && next[r][modal.col].gate.toLowerCase() === g) next[r][modal.col] = null; }
-      if (g === "cx") {
-        next[params.control][modal.col] = { gate: "CX", role: "ctrl", control: params.control, target: params.target };
-        next[params.target][modal.col]  = { gate: "CX", role: "tgt",  control: params.control, target: params.target };
-      } else {
-        next[params.control1][modal.col] = { gate: "CCX", role: "ctrl1", control1: params.control1, control2: params.control2, target: params.target };
-        next[params.control2][modal.col] = { gate: "CCX", role: "ctrl2", control1: params.control1, control2: params.control2, target: params.target };
-        next[params.target][modal.col]   = { gate: "CCX", role: "tgt",   control1: params.control1, control2: params.control2, target: params.target };
-      }
+      if (modal.initial) for (const [r, c] of gateCells(prev, modal.row, modal.col)) next[r][c] = null;
+      else for (let r = 0; r < next.length; r++) { if (next[r][modal.col] && next[r][modal.col].gate.toLowerCase() === g) next[r][modal.col] = null; }
+      for (const [r, cell] of opToCells({ gate: g, ...params })) next[r][modal.col] = cell;
       return next;
     });
     setModal(null);
   }, [modal]);
 
+  // ── custom gates ───────────────────────────────────────────────
+  const removeCustomCells = useCallback((name) => {
+    setGrid(prev => prev.map(r => r.map(c => (c && c.custom && c.gate.toLowerCase() === name.toLowerCase() ? null : c))));
+  }, []);
+
+  const defineGate = useCallback(({ name, qubits }) => {
+    const old = customGates.find(d => d.name.toLowerCase() === name.toLowerCase());
+    if (old && gateQubits(old) !== qubits) removeCustomCells(old.name); // wiring no longer fits
+    else if (old && old.name !== name) {
+      setGrid(prev => prev.map(r => r.map(c => (c && c.custom && c.gate === old.name ? { ...c, gate: name } : c))));
+    }
+    const list = QSim.listGates();
+    setCustomGates(list);
+    persistCustomGates(list);
+    setGate(name);
+    setShowDefine(false);
+  }, [customGates, removeCustomCells]);
+
+  const deleteGate = useCallback((name) => {
+    if (!window.confirm(`Delete gate ${name}? Placed copies are removed too.`)) return;
+    QSim.removeGate(name);
+    const list = QSim.listGates();
+    setCustomGates(list);
+    persistCustomGates(list);
+    removeCustomCells(name);
+    if (selectedGate === name) setGate("H");
+  }, [removeCustomCells, selectedGate]);
+
+  const startSelect = useCallback((row, col, extend) => {
+    if (!extend || !selAnchorRef.current) selAnchorRef.current = { r: row, c: col };
+    setSelection(makeRect(selAnchorRef.current, { r: row, c: col }));
+  }, []);
+
+  const saveBlock = useCallback((name) => {
+    try {
+      const def = subcircuitFromGrid(grid, name, selection);
+      const updated = [...subcircuits, def];
+      setSubcircuits(updated); persistSubcircuits(updated);
+      setGate(name);
+      setSelection(null); setSelecting(false);
+    } catch (e) { setError(e.message); }
+    setShowBlockSave(false);
+  }, [grid, selection, subcircuits]);
+
+  const blockNameProblem = useCallback((name) => {
+    const taken = [...ALL_GATES, ...customGates.map(d => d.name), ...subcircuits.map(d => d.name)];
+    return taken.some(n => n.toLowerCase() === name.toLowerCase()) ? `The name ${name} is already in use` : null;
+  }, [customGates, subcircuits]);
+
+  const deleteBlock = useCallback((name) => {
+    if (!window.confirm(`Delete sub-circuit ${name}? Placed copies are removed too.`)) return;
+    const updated = subcircuits.filter(d => d.name !== name);
+    setSubcircuits(updated); persistSubcircuits(updated);
+    setGrid(prev => prev.map(r => r.map(c => (c && c.block && c.gate === name ? null : c))));
+    if (selectedGate === name) setGate("H");
+  }, [subcircuits, selectedGate]);
+
+  const addObservables = useCallback((list) => {
+    setObservables(prev => {
+      const u = [...prev, ...list.filter(o => !prev.includes(o))];
+      persistObservables(u);
+      return u;
+    });
+  }, []);
+
+  const removeObservable = useCallback((text) => {
+    setObservables(prev => {
+      const u = prev.filter(o => o !== text);
+      persistObservables(u);
+      return u;
+    });
+  }, []);
+
+  const applyVqe = useCallback((slots, x) => {
+    setGrid(prev => withSlotAngles(prev, slots, x));
+    setShowVqe(false);
+  }, []);
+
   const clearGrid = useCallback(() => { setGrid(emptyGrid(qubitCount)); setResults(null); setError(null); }, [qubitCount]);
 
   const removeCell = useCallback((row, col) => {
     setGrid(prev => {
       const next = prev.map(r => [...r]);
-      const cell = next[row][col];
-      if (cell && (cell.gate === "CX" || cell.gate === "CCX")) {
-        for (let r = 0; r < next.length; r++) { if (next[r][col] && next[r][col].gate === cell.gate) next[r][col] = null; }
-      } else next[row][col] = null;
+      for (const [r, c] of gateCells(prev, row, col)) next[r][c] = null;
       return next;
     });
   }, []);
 
+  // ── copy / paste ───────────────────────────────────────────────
+  // Copies the selection, or without one the gate at (row, col); `cut`
+  // removes what was copied.
+  const copyCells = useCallback((row, col, cut) => {
+    let rect = selection, source = grid;
+    if (!rect) {
+      const own = gateCells(grid, row, col);
+      if (!own.length) return;
+      const rows = own.map(([r]) => r), cols = own.map(([, c]) => c);
+      rect = { r0: Math.min(...rows), r1: Math.max(...rows), c0: Math.min(...cols), c1: Math.max(...cols) };
+      source = grid.map((cells, r) => cells.map((cell, c) => (own.some(([gr, gc]) => gr === r && gc === c) ? cell : null)));
+    }
+    try {
+      setClipboard(clipFromGrid(source, rect));
+      setError(null);
+    } catch (e) { setError(e.message); return; }
+    if (cut) {
+      if (selection) setGrid(clearRect(grid, rect));
+      else removeCell(row, col);
+    }
+  }, [grid, selection, removeCell]);
+
+  const paste = useCallback((row, col) => {
+    if (!clipboard) return;
+    try {
+      setGrid(pasteClip(grid, clipboard, row, col));
+      setError(null);
+    } catch (e) { setError(e.message); }
+  }, [grid, clipboard]);
+
+  // ── keyboard editing ───────────────────────────────────────────
+  // The grid is a single tab stop; arrow keys move the cursor cell, which
+  // takes the same actions as the mouse.
+  const moveCursor = useCallback((row, col) => {
+    const next = { row: Math.max(0, Math.min(grid.length - 1, row)), col: Math.max(0, Math.min(steps - 1, col)) };
+    setCursor(next);
+    const el = gridRef.current && gridRef.current.querySelector(`[data-cell="${next.row}-${next.col}"]`);
+    if (el) el.focus();
+  }, [grid.length, steps]);
+
+  const handleGridKey = useCallback((e, row, col) => {
+    if (e.altKey) return;
+    if (e.ctrlKey || e.metaKey) {
+      const k = e.key.toLowerCase();
+      if (k === "c") copyCells(row, col);
+      else if (k === "x") copyCells(row, col, true);
+      else if (k === "v") paste(row, col);
+      else return;
+      e.preventDefault();
+      return;
+    }
+    const cell = grid[row][col];
+    const step = { ArrowUp: [-1, 0], ArrowDown: [1, 0], ArrowLeft: [0, -1], ArrowRight: [0, 1] }[e.key];
+    if (step && e.shiftKey) {
+      // Shift+arrow carries the gate under the cursor along
+      if (!cell) return;
+      try {
+        setGrid(moveGate(grid, row, col, step[0], step[1], false));
+        setError(null);
+        moveCursor(row + step[0], col + step[1]);
+      } catch (err) { setError(err.message); }
+    } else if (step) moveCursor(row + step[0], col + step[1]);
+    else if (e.key === "Home") moveCursor(row, 0);
+    else if (e.key === "End") moveCursor(row, steps - 1);
+    else if (e.key === "Delete" || e.key === "Backspace") {
+      if (selecting && selection) setGrid(clearRect(grid, selection));
+      else removeCell(row, col);
+    } else if (e.key === "Enter" || e.key === " ") {
+      if (!cell) handleCellClick(row, col);
+      else if (cell.block) toggleBlock(cell);
+      else editCell(row, col);
+    } else if (GATE_KEYS[e.key]) {
+      if (!cell) { setGate(GATE_KEYS[e.key]); placeGate(GATE_KEYS[e.key], row, col); }
+    } else return;
+    e.preventDefault();
+  }, [grid, steps, selecting, selection, moveCursor, removeCell, handleCellClick, toggleBlock, editCell, placeGate, copyCells, paste]);
+
+  // ── columns ────────────────────────────────────────────────────
+  // Insert and delete act at the cursor's column.
+  const cursorCol = Math.min(cursor.col, steps - 1);
+  const editColumns = useCallback((edit) => {
+    try { setGrid(edit(grid)); setError(null); } catch (e) { setError(e.message); }
+  }, [grid]);
+
   // ── save / load ────────────────────────────────────────────────
   const saveCircuit = useCallback((name) => {
-    const entry = { name, qubitCount, grid, ts: Date.now() };
-    const updated = [entry, ...saved].slice(0, 20);
-    setSaved(updated); persistSaved(updated); setShowSave(false);
-  }, [qubitCount, grid, saved]);
+    const usedBlocks = new Set(grid.flat().filter(c => c && c.block).map(c => c.gate));
+    const usedGates = new Set(program.map(op => op.gate.toLowerCase()));
+    const entry = {
+      name, qubitCount, grid, init: initState, params: bindings,
+      subcircuits: subcircuits.filter(d => usedBlocks.has(d.name)),
+      gates: customGates.filter(d => usedGates.has(d.name.toLowerCase())), tags: [], ts: Date.now(),
+    };
+    setShowSave(false);
+    QLibrary.store.add(entry)
+      .then(e => setSaved(prev => [e, ...prev]))
+      .catch(e => setError("Couldn't save the circuit: " + e.message));
+  }, [qubitCount, grid, initState, subcircuits, customGates, program, bindings]);
+
+  const loadCircuit = useCallback((entry) => {
+    // The circuit's own copies of its sub-circuits win over same-named ones
+    const blocks = entry.subcircuits || [];
+    if (blocks.length) {
+      const updated = [...subcircuits.filter(d => !blocks.some(b => b.name === d.name)), ...blocks];
+      setSubcircuits(updated); persistSubcircuits(updated);
+    }
+    // …and so do its gate definitions (invalid ones are dropped)
+    if (entry.gates && entry.gates.length) {
+      for (const d of entry.gates) { try { QSim.defineGate(d.name, d.matrix); } catch { /* dropped */ } }
+      const list = QSim.listGates();
+      setCustomGates(list); persistCustomGates(list);
+    }
+    setQubitCount(entry.qubitCount); setGrid(entry.grid); setInitState(entry.init || null);
+    if (entry.params) setParamValues(prev => ({ ...prev, ...entry.params }));
+    setResults(null); setError(null); setShowLoad(false);
+  }, [subcircuits]);
+
+  // ── share links ────────────────────────────────────────────────
+  // A link carries the circuit plus the sub-circuits and custom gates it
+  // uses, so it opens the same anywhere.
+  const shareCircuit = useCallback(async () => {
+    const usedBlocks = new Set(grid.flat().filter(c => c && c.block).map(c => c.gate));
+    const usedGates = new Set(program.map(op => op.gate.toLowerCase()));
+    try {
+      setShareUrl(await QShare.link({
+        qubitCount, grid, init: initState, params: bindings,
+        subcircuits: subcircuits.filter(d => usedBlocks.has(d.name)),
+        gates: customGates.filter(d => usedGates.has(d.name.toLowerCase())),
+      }));
+    } catch (e) { setError("Couldn't create a share link: " + e.message); }
+  }, [qubitCount, grid, initState, bindings, subcircuits, customGates, program]);
+
+  // Links are pasted from anywhere, so they get the library's checks.
+  const openShared = useCallback((doc) => {
+    let circuit;
+    try { circuit = QLibrary.validateCircuit(doc); }
+    catch (e) { throw new Error("The shared circuit link is damaged or incomplete (" + e.message + ")"); }
+    loadCircuit(circuit);
+    setActiveTab("composer");
+  }, [loadCircuit]);
+
+  // Opening a link (or pasting one into this tab) restores its circuit.
+  const openSharedRef = useRef(openShared);
+  openSharedRef.current = openShared;
+  useEffect(() => {
+    const open = () => QShare.fromHash(window.location.hash)
+      .then(doc => { if (doc) openSharedRef.current(doc); })
+      .catch(e => { setActiveTab("composer"); setError(e.message); });
+    open();
+    window.addEventListener("hashchange", open);
+    return () => window.removeEventListener("hashchange", open);
+  }, []);
+
+  // ── circuit library ────────────────────────────────────────────
+  // `saved` mirrors the IndexedDB store; each handler returns the store's
+  // promise so LibraryModal can show failures.
+  useEffect(() => {
+    openLibrary().then(setSaved).catch(e => setError("Saved circuits are unavailable: " + e.message));
+  }, []);
+
+  const updateSaved = useCallback((entry) => QLibrary.store.put(entry)
+    .then(() => setSaved(prev => prev.map(e => (e.id === entry.id ? entry : e)))), []);
+
+  const duplicateSaved = useCallback((entry) => {
+    const name = QLibrary.uniqueName(entry.name, new Set(saved.map(e => e.name)));
+    return QLibrary.store.add({ ...entry, name, ts: Date.now() }).then(e => setSaved(prev => [e, ...prev]));
+  }, [saved]);
 
-  const loadCircuit = useCallback((entry) => { setQubitCount(entry.qubitCount); setGrid(entry.grid); setResults(null); setError(null); setShowLoad(false); }, []);
-  const deleteSaved = useCallback((idx) => { const u = saved.filter((_, i) => i !== idx); setSaved(u); persistSaved(u); }, [saved]);
+  const deleteSaved = useCallback((entry) => QLibrary.store.remove(entry.id)
+    .then(() => setSaved(prev => prev.filter(e => e.id !== entry.id))), []);
+
+  const importLibrary = useCallback(async (circuits, mode) => {
+    const merged = QLibrary.merge(saved, circuits, mode);
+    await Promise.all(saved.filter(e => !merged.includes(e)).map(e => QLibrary.store.remove(e.id)));
+    await Promise.all(merged.filter(e => e.id == null).map(e => QLibrary.store.add(e)));
+    setSaved(await QLibrary.store.list());
+  }, [saved]);
+
+  // ── OpenQASM import ────────────────────────────────────────────
+  // Throws for circuits the composer can't hold; QasmModal shows the message.
+  const importQasm = useCallback(({ qubitCount: n, program }) => {
+    if (n > MAX_QUBITS) throw new Error(`Circuit uses ${n} qubits; the composer supports up to ${MAX_QUBITS}`);
+    const g = gridFromProgram(n, program);
+    setQubitCount(n); setGrid(g); setInitState(null); setResults(null); setError(null); setShowQasm(false);
+  }, []);
 
   // ── drag & drop ────────────────────────────────────────────────
+  // Palette buttons drag a gate name; placed cells drag their position
+  // (CELL_MIME) and move the whole gate, or copy it with Ctrl/Alt held.
   const handleDragStart = useCallback((gate, e) => { setDragging(gate); e.dataTransfer.setData("text/plain", gate); e.dataTransfer.effectAllowed = "copy"; }, []);
-  const handleDragOver  = useCallback((e) => { e.preventDefault(); e.dataTransfer.dropEffect = "copy"; }, []);
+  const handleCellDragStart = useCallback((row, col, e) => {
+    setDragging(grid[row][col].gate);
+    e.dataTransfer.setData(CELL_MIME, `${row},${col}`);
+    e.dataTransfer.effectAllowed = "copyMove";
+  }, [grid]);
+  const handleDragOver  = useCallback((e) => {
+    e.preventDefault();
+    const moving = [...e.dataTransfer.types].includes(CELL_MIME);
+    e.dataTransfer.dropEffect = moving && !(e.ctrlKey || e.altKey) ? "move" : "copy";
+  }, []);
   const handleDrop = useCallback((row, col, e) => {
     e.preventDefault();
-    const gate = e.dataTransfer.getData("text/plain");
-    if (gate && ALL_GATES.includes(gate)) placeGate(gate, row, col);
     setDragging(null);
-  }, [placeGate]);
+    const from = e.dataTransfer.getData(CELL_MIME);
+    if (from) {
+      const [r, c] = from.split(",").map(Number);
+      const copy = e.ctrlKey || e.altKey;
+      if (r === row && c === col && !copy) return;
+      try { setGrid(moveGate(grid, r, c, row - r, col - c, copy)); setError(null); }
+      catch (err) { setError(err.message); }
+      return;
+    }
+    const gate = e.dataTransfer.getData("text/plain");
+    if (!grid[row][col] && gate && [...ALL_GATES, ...customGates.map(d => d.name), ...subcircuits.map(d => d.name)].includes(gate)) placeGate(gate, row, col);
+  }, [grid, placeGate, customGates, subcircuits]);
   const handleDragEnd = useCallback(() => setDragging(null), []);
 
+  const handleWireDragStart = useCallback((row, e) => { e.dataTransfer.setData(WIRE_MIME, String(row)); e.dataTransfer.effectAllowed = "move"; }, []);
+  const handleWireDragOver = useCallback((e) => {
+    if (![...e.dataTransfer.types].includes(WIRE_MIME)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+  }, []);
+  const handleWireDrop = useCallback((row, e) => {
+    const from = e.dataTransfer.getData(WIRE_MIME);
+    if (from === "") return;
+    e.preventDefault();
+    moveWire(+from, row);
+  }, [moveWire]);
+
+  const handleWireKey = useCallback((e, row) => {
+    if (e.key === "Enter" || e.key === " ") { e.preventDefault(); cycleWireState(row); return; }
+    const d = e.shiftKey && { ArrowUp: -1, ArrowDown: 1 }[e.key];
+    if (!d) return;
+    e.preventDefault();
+    moveWire(row, row + d);
+    const label = gridRef.current && gridRef.current.querySelector(`[data-wire="${row + d}"]`);
+    if (label) label.focus();
+  }, [cycleWireState, moveWire]);
+
   // ── Render ─────────────────────────────────────────────────────
   return (
     <React.Fragment>
@@ -540,84 +2689,229 @@ function App() {
           <div className="app">
             <div className="composer-header">
               <h1>⚛ Quantum Composer</h1>
-              <span className="subtitle">Up to {MAX_QUBITS} qubits · {MAX_STEPS} steps · Client-side simulation</span>
+              <span className="subtitle">Up to {MAX_QUBITS} qubits · Any depth · Client-side simulation</span>
             </div>
 
             <div className="controls">
               <label>Qubits:
                 <select value={qubitCount} onChange={e => changeQubits(+e.target.value)}>
-                  {[1,2,3,4].map(n => <option key={n} value={n}>{n}</option>)}
+                  {Array.from({ length: MAX_QUBITS }, (_, i) => i + 1).map(n => <option key={n} value={n}>{n}</option>)}
                 </select>
               </label>
 
               <div className="gate-palette">
                 {ALL_GATES.map(g => (
-                  <button key={g} className={`gate-btn ${selectedGate === g ? "active" : ""}`}
+                  <button key={g} className={`gate-btn ${selectedGate === g ? "active" : ""}`} aria-pressed={selectedGate === g}
                     onClick={() => setGate(g)} draggable onDragStart={e => handleDragStart(g, e)} onDragEnd={handleDragEnd}>
                     {g}
                   </button>
                 ))}
+                {customGates.map(({ name }) => (
+                  <button key={name} className={`gate-btn gate-btn-custom ${selectedGate === name ? "active" : ""}`}
+                    title="Custom gate · right-click to delete"
+                    onClick={() => setGate(name)} onContextMenu={e => { e.preventDefault(); deleteGate(name); }}
+                    draggable onDragStart={e => handleDragStart(name, e)} onDragEnd={handleDragEnd}>
+                    {name}
+                  </button>
+                ))}
+                {subcircuits.map(({ name, wires }) => (
+                  <button key={name} className={`gate-btn gate-btn-block ${selectedGate === name ? "active" : ""}`}
+                    title={`Sub-circuit on ${wires} wires · right-click to delete`}
+                    onClick={() => setGate(name)} onContextMenu={e => { e.preventDefault(); deleteBlock(name); }}
+                    draggable onDragStart={e => handleDragStart(name, e)} onDragEnd={handleDragEnd}>
+                    ▭ {name}
+                  </button>
+                ))}
+                <button className="gate-btn gate-btn-define" title="Define a gate from a matrix" onClick={() => setShowDefine(true)}>+ Gate</button>
               </div>
 
+              <label>Shots:
+                <select value={shots} onChange={e => setShots(+e.target.value)}>
+                  {SHOT_OPTIONS.map(s => <option key={s} value={s}>{s}</option>)}
+                </select>
+              </label>
+
               <label className="auto-toggle" title="Auto-simulate on change (debounced)">
                 <input type="checkbox" checked={autoSim} onChange={e => setAutoSim(e.target.checked)} />
                 Auto
               </label>
 
+              <button className="icon-btn" onClick={undo} disabled={!history.past.length} title="Undo (Ctrl+Z)">↶</button>
+              <button className="icon-btn" onClick={redo} disabled={!history.future.length} title="Redo (Ctrl+Shift+Z)">↷</button>
               <button className="icon-btn" onClick={() => setShowSave(true)} title="Save circuit">💾</button>
               <button className="icon-btn" onClick={() => setShowLoad(true)} title="Load circuit">📂</button>
+              <button className="icon-btn" onClick={shareCircuit} title="Copy a link to this circuit">🔗</button>
+              <button className="icon-btn text-btn" onClick={() => setShowQasm(true)} title="OpenQASM import / export">QASM</button>
+              <button className={`icon-btn text-btn ${initState ? "active" : ""}`} onClick={() => setShowInit(true)} title="Set the input state">|ψ₀⟩</button>
+              <button className="icon-btn text-btn" onClick={() => setShowUnitary(true)} title="Show the circuit's unitary matrix">U</button>
+              <button className="icon-btn text-btn" onClick={() => setShowVqe(true)} title="Optimize rotation angles to minimize a Hamiltonian">VQE</button>
+              <button className={`icon-btn text-btn ${debugCol != null ? "active" : ""}`} onClick={() => debugCol != null ? exitDebug() : stepTo(0)}
+                title="Step through the circuit column by column">Step</button>
+              <button className={`icon-btn text-btn ${selecting ? "active" : ""}`}
+                onClick={() => { setSelecting(!selecting); setSelection(null); }}
+                title="Select a region of the grid to save as a sub-circuit">Select</button>
               <button className="clear-btn" onClick={clearGrid}>Clear</button>
-              <button className="sim-btn" onClick={() => doSimulate()} disabled={loading}>
-                {loading ? "Running…" : "▶ Simulate"}
+              {loading && <button className="icon-btn" onClick={cancelSimulate} title="Cancel simulation">■</button>}
+              <button className="sim-btn" onClick={() => { exitDebug(); doSimulate(); }} disabled={loading}>
+                {loading ? `Running… ${Math.round((progress || 0) * 100)}%` : "▶ Simulate"}
               </button>
             </div>
 
+            <NoiseControls cfg={noiseCfg} onChange={setNoiseCfg} qubitCount={qubitCount} />
+            {symbols.length > 0 && <ParameterPanel symbols={symbols} values={bindings} onChange={setParam} />}
+            <ObservablesPanel qubitCount={qubitCount} observables={observables} rows={observableList} onAdd={addObservables} onRemove={removeObservable} />
+
+            {loading && (
+              <div className="sim-progress" role="progressbar" aria-valuemin={0} aria-valuemax={100} aria-valuenow={Math.round((progress || 0) * 100)}>
+                <div className="sim-progress-fill" style={{ width: `${(progress || 0) * 100}%` }} />
+              </div>
+            )}
+
+            {debugCol != null && (
+              <div className="step-bar">
+                <button onClick={() => stepTo(0)} disabled={debugCol === 0} title="First column">⏮</button>
+                <button onClick={() => stepTo(debugCol - 1)} disabled={debugCol === 0} title="Step back">◀</button>
+                <span className="step-pos">After <strong>t{debugCol}</strong> of t{steps - 1}</span>
+                <button onClick={() => stepTo(debugCol + 1)} disabled={debugCol === steps - 1} title="Step forward">▶</button>
+                <button onClick={() => stepTo(steps - 1)} disabled={debugCol === steps - 1} title="Last column">⏭</button>
+                <button onClick={exitDebug} title="Leave step-through mode">✕</button>
+              </div>
+            )}
+
+            {selecting && (
+              <div className="step-bar select-bar">
+                {selection ? (
+                  <React.Fragment>
+                    <span className="step-pos">
+                      q{selection.r0}–q{selection.r1} × t{selection.c0}–t{selection.c1}
+                    </span>
+                    <button onClick={() => copyCells(selection.r0, selection.c0)} title="Ctrl+C">Copy</button>
+                    <button onClick={() => copyCells(selection.r0, selection.c0, true)} title="Ctrl+X">Cut</button>
+                    {clipboard && <button onClick={() => paste(selection.r0, selection.c0)} title="Ctrl+V — top-left corner at the selection">Paste</button>}
+                    <button onClick={() => setGrid(clearRect(grid, selection))} title="Delete">Delete</button>
+                    <button className="primary" onClick={() => {
+                      try { subcircuitFromGrid(grid, "", selection); setShowBlockSave(true); } catch (e) { setError(e.message); }
+                    }}>Save as sub-circuit</button>
+                  </React.Fragment>
+                ) : <span className="step-pos">Drag across the grid (or click, then shift-click) to select a region to copy, cut, delete or save</span>}
+                <button onClick={() => { setSelecting(false); setSelection(null); }} title="Leave selection mode">✕</button>
+              </div>
+            )}
+
+            <div className="step-bar grid-toolbar">
+              <span className="step-pos">{steps} columns</span>
+              <button onClick={() => editColumns(g => insertColumn(g, cursorCol))} title={`Insert an empty column before t${cursorCol}`}>+ Column</button>
+              <button onClick={() => editColumns(g => deleteColumn(g, cursorCol))} title={`Delete t${cursorCol} and the gates in it`}>− Column</button>
+              <button onClick={() => editColumns(g => compactGrid(g, subcircuits))} title="Move every gate left to its earliest column">Compact</button>
+              <span className="grid-zoom">
+                <button onClick={() => setZoom(ZOOM_LEVELS[ZOOM_LEVELS.indexOf(zoom) - 1])} disabled={zoom === ZOOM_LEVELS[0]} title="Zoom out">−</button>
+                <span className="step-pos">{Math.round(zoom * 100)}%</span>
+                <button onClick={() => setZoom(ZOOM_LEVELS[ZOOM_LEVELS.indexOf(zoom) + 1])} disabled={zoom === ZOOM_LEVELS[ZOOM_LEVELS.length - 1]} title="Zoom in">+</button>
+              </span>
+            </div>
+
             {/* Circuit Grid */}
-            <div className="circuit-grid" style={{ gridTemplateColumns: `60px repeat(${MAX_STEPS}, 1fr)` }}>
-              <div className="grid-header">Wire</div>
-              {Array.from({ length: MAX_STEPS }, (_, c) => <div className="grid-header" key={c}>t{c}</div>)}
-
-              {grid.map((row, ri) => (
-                <React.Fragment key={ri}>
-                  <div className="wire-label">q{ri}</div>
-                  {row.map((cell, ci) => {
-                    let display = "";
-                    let cls = "cell";
-                    if (cell) {
-                      const g = cell.gate;
-                      if (g === "CX" || g === "CCX") {
-                        if (cell.role === "tgt") { display = "⊕"; cls += " cell-target"; }
-                        else { display = "●"; cls += " cell-control"; }
-                      } else if (["Rx","Ry","Rz"].includes(g)) {
-                        display = `${g}(${cell.angle != null ? cell.angle.toFixed(2) : "?"})`;
-                        cls += " cell-rotation";
+            <div className="grid-scroll">
+              <div className="circuit-grid" ref={gridRef} role="grid" aria-label="Circuit"
+                aria-rowcount={grid.length + 1} aria-colcount={steps + 1}
+                style={{ gridTemplateColumns: `72px repeat(${steps}, minmax(${Math.round(CELL_PX * zoom)}px, 1fr))`, "--zoom": zoom }}>
+                <div className="grid-row" role="row">
+                  <div className="grid-header" role="columnheader">Wire</div>
+                  {Array.from({ length: steps }, (_, c) => (
+                    <div key={c} className={`grid-header grid-header-step ${debugCol === c ? "step-cursor" : ""}`} role="columnheader"
+                      onClick={() => stepTo(c)} title={`Inspect the state after t${c}`}>t{c}</div>
+                  ))}
+                </div>
+
+                {grid.map((row, ri) => (
+                  <div key={ri} className="grid-row" role="row">
+                    <div className="wire-label" role="rowheader" tabIndex={0} data-wire={ri} onClick={() => cycleWireState(ri)}
+                      onKeyDown={e => handleWireKey(e, ri)}
+                      draggable={!selecting} onDragStart={e => handleWireDragStart(ri, e)} onDragEnd={handleDragEnd}
+                      onDragOver={handleWireDragOver} onDrop={e => handleWireDrop(ri, e)}
+                      aria-label={`q${ri}, input ${initState && initState.amplitudes ? "custom amplitudes" : wireKet((initState && initState.wires[ri]) || "0")}`}
+                      title={(initState && initState.amplitudes ? "Custom amplitude vector — click to edit" : "Click to cycle the input state")
+                        + " · drag (or Shift+↑/↓) to move the wire"}>
+                      q{ri}
+                      <span className="wire-init">
+                        {initState && initState.amplitudes ? "ψ" : wireKet((initState && initState.wires[ri]) || "0")}
+                      </span>
+                    </div>
+                    {row.map((cell, ci) => {
+                      let display = "";
+                      let cls = "cell";
+                      let title = !cell ? `Place ${selectedGate} (or drag)`
+                        : (GATE_PARAMS[cell.gate] || cell.role || cell.gate === "M" ? "Double-click to edit · " : "")
+                          + "Drag to move (Ctrl+drag copies) · right-click to remove";
+                      let label = cell ? "" : "empty";
+                      if (cell && cell.block) {
+                        const def = subcircuits.find(d => d.name === cell.gate);
+                        const inner = def && cell.expanded && def.cells[cell.r][cell.c];
+                        if (inner) ({ display, cls } = cellView(inner, cls));
+                        else if (cell.r === 0 && (!cell.expanded || cell.c === 0)) display = cell.gate;
+                        cls += " cell-block";
+                        if (cell.r === 0) cls += " cell-block-top";
+                        if (!def || cell.r === def.wires - 1) cls += " cell-block-bottom";
+                        if (cell.c === 0) cls += " cell-block-left";
+                        if (!def || !cell.expanded || cell.c === def.width - 1) cls += " cell-block-right";
+                        title = def ? `${cell.gate} — click to ${cell.expanded ? "collapse" : "expand"}, right-click to remove`
+                          : `${cell.gate} — this sub-circuit no longer exists; right-click to remove`;
+                        label = `sub-circuit ${cell.gate}, ${!def ? "missing" : cell.expanded ? "expanded" + (inner ? ": " + describeCell(inner) : "") : "collapsed"}`;
+                      } else if (cell) {
+                        ({ display, cls } = cellView(cell, cls));
+                        if (cell.gate === "U3") title = `U3(${formatParams(cell, "U3")}) — ${title}`;
+                        label = describeCell(cell);
                       } else {
-                        display = g;
-                        cls += " cell-gate";
+                        cls += " cell-empty";
                       }
-                      cls += " cell-placed";
-                    } else {
-                      cls += " cell-empty";
-                    }
-                    return (
-                      <div key={ci} className={cls + (dragging && !cell ? " drop-ready" : "")}
-                        onClick={() => cell ? null : handleCellClick(ri, ci)}
-                        onContextMenu={e => { e.preventDefault(); removeCell(ri, ci); }}
-                        onDragOver={cell ? undefined : handleDragOver}
-                        onDrop={cell ? undefined : e => handleDrop(ri, ci, e)}
-                        title={cell ? "Right-click to remove" : `Place ${selectedGate} (or drag)`}>
-                        {display}
-                      </div>
-                    );
-                  })}
-                </React.Fragment>
-              ))}
+                      const selected = !!selection && inRect(selection, ri, ci);
+                      if (selected) cls += " cell-selected";
+                      if (debugCol != null && ci > debugCol) cls += " cell-future";
+                      const isCursor = ri === Math.min(cursor.row, grid.length - 1) && ci === cursorCol;
+                      const issues = lintCells.get(`${ri}-${ci}`);
+                      if (issues) {
+                        cls += issues.some(i => i.level === "error") ? " cell-lint-error" : " cell-lint-warning";
+                        title = issues.map(i => "⚠ " + i.message).join("\n") + "\n" + title;
+                        label += "; " + issues.map(i => `${i.level}: ${i.message}`).join("; ");
+                      }
+                      return (
+                        <div key={ci} className={cls + (dragging && !cell ? " drop-ready" : "")}
+                          role="gridcell" data-cell={`${ri}-${ci}`} tabIndex={isCursor ? 0 : -1}
+                          aria-label={`q${ri}, t${ci}: ${label}`} aria-selected={selecting ? selected : undefined}
+                          onFocus={() => setCursor({ row: ri, col: ci })}
+                          onKeyDown={e => handleGridKey(e, ri, ci)}
+                          onMouseDown={selecting ? e => startSelect(ri, ci, e.shiftKey) : undefined}
+                          onMouseEnter={selecting ? e => { if (e.buttons & 1) startSelect(ri, ci, true); } : undefined}
+                          onClick={() => selecting ? null : cell ? (cell.block ? toggleBlock(cell) : null) : handleCellClick(ri, ci)}
+                          onDoubleClick={cell && !selecting ? () => editCell(ri, ci) : undefined}
+                          onContextMenu={e => { e.preventDefault(); removeCell(ri, ci); }}
+                          draggable={!!cell && !selecting}
+                          onDragStart={cell && !selecting ? e => handleCellDragStart(ri, ci, e) : undefined}
+                          onDragEnd={handleDragEnd}
+                          onDragOver={handleDragOver}
+                          onDrop={e => handleDrop(ri, ci, e)}
+                          title={title}>
+                          {display}
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
             </div>
 
-            <p className="hint">Click or drag a gate onto the grid · Right-click to remove</p>
+            <LintPanel issues={lint} onShow={moveCursor} />
 
-            {error && <div className="error-box">⚠ {error}</div>}
-            <Results data={results} />
+            <p className="hint">
+              Click or drag a gate onto the grid · Double-click to edit, drag to move (Ctrl+drag copies), right-click to remove ·
+              Click a column header to step through · Drag a wire label to move the wire · Keyboard: arrows move, H X Y Z S T M C place, Enter places or edits,
+              Shift+arrows move a gate, Ctrl+C / X / V copy and paste, Delete removes ·
+              Marked cells have a problem or a warning; hover them or see Checks
+            </p>
+
+            {error && <div className="error-box" role="alert">⚠ {error}</div>}
+            <p className="sr-only" role="status">{resultsSummary(debugCol != null ? snapshot : results)}</p>
+            <Results data={debugCol != null ? snapshot : results} />
           </div>
         </div>
       )}
@@ -631,28 +2925,33 @@ function App() {
       </footer>
 
       {/* ── Modals (always available) ── */}
-      {modal && modal.type === "angle" && <AngleModal gate={modal.gate} onConfirm={confirmAngle} onCancel={() => setModal(null)} />}
-      {modal && modal.type === "multi" && <MultiGateModal gate={modal.gate} qubitCount={qubitCount} onConfirm={confirmMulti} onCancel={() => setModal(null)} />}
+      {modal && modal.type === "angle" && <AngleModal gate={modal.gate} initial={modal.initial} onConfirm={confirmAngle} onCancel={() => setModal(null)} />}
+      {modal && modal.type === "measure" && <MeasureModal row={modal.row} clbitCount={qubitCount} initial={modal.initial} onConfirm={confirmMeasure} onCancel={() => setModal(null)} />}
+      {modal && modal.type === "multi" && (
+        <MultiGateModal gate={modal.gate} qubitCount={qubitCount} custom={!!modal.custom} initial={modal.initial}
+          onConfirm={confirmMulti} onCancel={() => setModal(null)} />
+      )}
+      {showDefine && <DefineGateModal existing={customGates} onConfirm={defineGate} onCancel={() => setShowDefine(false)} />}
+      {showQasm && <QasmModal qubitCount={qubitCount} program={program} onImport={importQasm} onCancel={() => setShowQasm(false)} />}
+      {showInit && (
+        <InitialStateModal qubitCount={qubitCount} value={initState}
+          onConfirm={v => { setInitState(v); setShowInit(false); }} onCancel={() => setShowInit(false)} />
+      )}
+      {showUnitary && <UnitaryModal qubitCount={qubitCount} program={program} onCancel={() => setShowUnitary(false)} />}
+      {showVqe && (
+        <VqeModal qubitCount={qubitCount} grid={grid} subcircuits={subcircuits} bindings={bindings}
+          initial={initialOption(initState)} onApply={applyVqe} onCancel={() => setShowVqe(false)} />
+      )}
+      {shareUrl && <ShareModal url={shareUrl} onClose={() => setShareUrl(null)} />}
       {showSave && <SaveModal onSave={saveCircuit} onCancel={() => setShowSave(false)} />}
+      {showBlockSave && (
+        <SaveModal title="Save Sub-circuit" prompt="Name the selected block" placeholder="QFT3"
+          validate={blockNameProblem} onSave={saveBlock} onCancel={() => setShowBlockSave(false)} />
+      )}
 
       {showLoad && (
-        <div className="modal-overlay">
-          <div className="modal modal-wide">
-            <h3>Saved Circuits</h3>
-            {saved.length === 0 && <p>No saved circuits yet.</p>}
-            <div className="saved-list">
-              {saved.map((s, i) => (
-                <div key={i} className="saved-item">
-                  <span className="saved-name">{s.name}</span>
-                  <span className="saved-meta">{s.qubitCount}q · {new Date(s.ts).toLocaleDateString()}</span>
-                  <button className="primary" onClick={() => loadCircuit(s)}>Load</button>
-                  <button onClick={() => deleteSaved(i)}>🗑</button>
-                </div>
-              ))}
-            </div>
-            <div className="modal-actions"><button onClick={() => setShowLoad(false)}>Close</button></div>
-          </div>
-        </div>
+        <LibraryModal saved={saved} onLoad={loadCircuit} onUpdate={updateSaved} onDuplicate={duplicateSaved}
+          onDelete={deleteSaved} onImport={importLibrary} onClose={() => setShowLoad(false)} />
       )}
     </React.Fragment>
   );
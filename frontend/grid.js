@@ -0,0 +1,364 @@
+/**
+ * grid.js — Composer grid editing
+ * Pure functions over the composer grid, grid[wire][column]: each cell is
+ * null or a placed gate ({ gate, … }; multi-qubit cells carry a `role`
+ * and their wiring, M cells a `cbit`, block cells the sub-circuit they
+ * are a piece of). Every edit returns a new grid.
+ *
+ * Usage:
+ *   const grid = QGrid.emptyGrid(2);                  // QGrid.MIN_STEPS columns
+ *   QGrid.buildProgram(grid, subcircuits, { theta: 0.5 });   // → QSim program
+ *   QGrid.moveGate(grid, row, col, dr, dc, copy);     // throws if it doesn't fit
+ *   QGrid.pasteClip(grid, QGrid.clipFromGrid(grid, rect), row, col);
+ *   QGrid.compactGrid(grid, subcircuits);             // every gate as far left as it goes
+ *   QGrid.resizeGrid(grid, n);  QGrid.permuteWires(grid, perm);
+ *
+ * Edits that can't be made throw an Error saying why, for the composer
+ * to show.
+ */
+
+var QGrid = (function () {
+  "use strict";
+
+  const MIN_STEPS = 10; // columns on a new grid; it grows as gates are added
+  const WIRE_FIELDS = ["control", "control1", "control2", "target", "target2"];
+  const PARAM_FIELDS = ["angle", "theta", "phi", "lambda"];
+
+  // ── grid ──────────────────────────────────────────────────────
+  function emptyGrid(nQubits, width = MIN_STEPS) {
+    return Array.from({ length: nQubits }, () => Array(width).fill(null));
+  }
+
+  // Index of the last column holding a gate, or -1.
+  function lastUsedColumn(grid) {
+    let last = -1;
+    for (const row of grid) for (let c = row.length - 1; c > last; c--) if (row[c]) { last = c; break; }
+    return last;
+  }
+
+  // Rows padded to `width` (grids saved by older versions or edited past
+  // the end can be ragged).
+  function withWidth(grid, width) {
+    return grid.map(r => (r.length >= width ? r : [...r, ...Array(width - r.length).fill(null)]));
+  }
+
+  // Every grid keeps at least MIN_STEPS columns and one free column after
+  // its last gate, so there is always room for the next one.
+  function fitColumns(grid) {
+    if (!grid.length) return grid;
+    const width = Math.max(MIN_STEPS, lastUsedColumn(grid) + 2, ...grid.map(r => r.length));
+    return grid.every(r => r.length === width) ? grid : withWidth(grid, width);
+  }
+
+  // ── programs ──────────────────────────────────────────────────
+  // Program op for the cell at `row`. Multi-qubit cells (those with a
+  // role) carry their wiring, so every cell of one gate yields the same op.
+  function cellToOp(cell, row) {
+    if (cell.gate === "M") return { gate: "measure", target: row, cbit: cell.cbit };
+    const op = { gate: cell.gate.toLowerCase() };
+    if (cell.role) {
+      for (const f of WIRE_FIELDS) if (cell[f] != null) op[f] = cell[f];
+    } else op.target = row;
+    for (const f of PARAM_FIELDS) if (cell[f] != null) op[f] = cell[f];
+    return op;
+  }
+
+  // Per-column programs; `subcircuits` resolves placed blocks, which are
+  // inlined — into their first column when collapsed, column by column
+  // when expanded. With `bindings` ({ theta: 0.5, … }) symbolic angles are
+  // replaced by numbers; without, they stay expression strings.
+  function buildSteps(grid, subcircuits, bindings) {
+    const steps = [];
+    const seen = new Set();
+    const cols = grid.length ? grid[0].length : 0;
+    for (let col = 0; col < cols; col++) {
+      const program = [];
+      steps.push(program);
+      for (let row = 0; row < grid.length; row++) {
+        const cell = grid[row][col];
+        if (!cell) continue;
+        if (cell.block) {
+          if (cell.r !== 0) continue; // the block's top wire speaks for it
+          const def = (subcircuits || []).find(d => d.name === cell.gate);
+          if (!def) throw new Error("Unknown sub-circuit: " + cell.gate);
+          const inner = blockSteps(def, cell.top);
+          program.push(...(cell.expanded ? inner[cell.c] : [].concat(...inner)));
+          continue;
+        }
+        const op = cellToOp(cell, row);
+        if (cell.role) {
+          const key = `${col}-${JSON.stringify(op)}`;
+          if (seen.has(key)) continue;
+          seen.add(key);
+        }
+        program.push(op);
+      }
+    }
+    return bindings ? steps.map(ops => QParams.bind(ops, bindings)) : steps;
+  }
+
+  function buildProgram(grid, subcircuits, bindings) {
+    return [].concat(...buildSteps(grid, subcircuits, bindings));
+  }
+
+  // ── sub-circuits ──────────────────────────────────────────────
+  // A sub-circuit is a saved rectangle of cells, { name, wires, width,
+  // cells[wires][width] }, with wiring and measurement cbits relative to
+  // its top wire. A placed copy covers its wires in one column (collapsed)
+  // or `width` columns (expanded); each covered cell is
+  // { gate: name, block: true, top, left, r, c, expanded }.
+  const SHIFTED_FIELDS = [...WIRE_FIELDS, "cbit"];
+
+  // Copy of a cell or op with every wire index (and cbit) moved by d.
+  function shiftWires(obj, d) {
+    const out = { ...obj };
+    for (const f of SHIFTED_FIELDS) if (out[f] != null) out[f] += d;
+    return out;
+  }
+
+  // Normalized { r0, r1, c0, c1 } from two corners.
+  function makeRect(a, b) {
+    return { r0: Math.min(a.r, b.r), r1: Math.max(a.r, b.r), c0: Math.min(a.c, b.c), c1: Math.max(a.c, b.c) };
+  }
+  function inRect(rect, r, c) { return r >= rect.r0 && r <= rect.r1 && c >= rect.c0 && c <= rect.c1; }
+
+  // Throws if the rectangle can't stand on its own as a sub-circuit.
+  function subcircuitFromGrid(grid, name, rect) {
+    for (let r = rect.r0; r <= rect.r1; r++) {
+      for (let c = rect.c0; c <= rect.c1; c++) {
+        if (grid[r][c] && grid[r][c].block) throw new Error(`t${c} on q${r} is already a sub-circuit; blocks can't be nested`);
+      }
+    }
+    return { name, ...clipFromGrid(grid, rect) };
+  }
+
+  // { wires, width, cells } of a rectangle, with wiring, cbits and block
+  // corners relative to its top-left. Throws if a gate in it reaches
+  // outside the rectangle.
+  function clipFromGrid(grid, rect) {
+    const cells = [];
+    let any = false;
+    for (let r = rect.r0; r <= rect.r1; r++) {
+      const row = [];
+      for (let c = rect.c0; c <= rect.c1; c++) {
+        let cell = grid[r][c];
+        if (cell && cell.block) {
+          if (!gateCells(grid, r, c).every(([br, bc]) => inRect(rect, br, bc))) {
+            throw new Error(`Sub-circuit ${cell.gate} at t${c} reaches outside the selection`);
+          }
+          cell = { ...cell, top: cell.top - rect.r0, left: cell.left - rect.c0 };
+        }
+        if (cell && cell.role && WIRE_FIELDS.some(f => cell[f] != null && (cell[f] < rect.r0 || cell[f] > rect.r1))) {
+          throw new Error(`${cell.gate} at t${c} reaches outside the selected wires`);
+        }
+        if (cell && cell.gate === "M" && cell.cbit < rect.r0) {
+          throw new Error(`M on q${r} writes c${cell.cbit}, below the selection's first wire`);
+        }
+        if (cell) any = true;
+        row.push(cell ? shiftWires(cell, -rect.r0) : null);
+      }
+      cells.push(row);
+    }
+    if (!any) throw new Error("The selection is empty");
+    return { wires: rect.r1 - rect.r0 + 1, width: rect.c1 - rect.c0 + 1, cells };
+  }
+
+  // The sub-circuit's per-column programs on wires top…top+wires-1.
+  function blockSteps(def, top) {
+    return buildSteps(def.cells).map(ops => ops.map(op => shiftWires(op, top)));
+  }
+
+  // [row, col, cell] for a copy of def with its top-left at (top, left).
+  function blockCells(def, top, left, expanded) {
+    const out = [];
+    for (let r = 0; r < def.wires; r++) {
+      for (let c = 0; c < (expanded ? def.width : 1); c++) {
+        out.push([top + r, left + c, { gate: def.name, block: true, top, left, r, c, expanded }]);
+      }
+    }
+    return out;
+  }
+
+  function sameBlock(a, b) { return a.block && b.block && a.top === b.top && a.left === b.left; }
+
+  // ── moving & copying ──────────────────────────────────────────
+  // [row, col] of every cell of the gate at (row, col): a whole placed
+  // block, each wire of a multi-qubit gate, or just the one cell.
+  function gateCells(grid, row, col) {
+    const cell = grid[row][col];
+    if (!cell) return [];
+    const out = [];
+    if (cell.block) {
+      grid.forEach((cells, r) => cells.forEach((c, k) => { if (c && sameBlock(c, cell)) out.push([r, k]); }));
+    } else if (cell.role) {
+      const key = JSON.stringify(cellToOp(cell, row));
+      grid.forEach((cells, r) => { if (cells[col] && JSON.stringify(cellToOp(cells[col], r)) === key) out.push([r, col]); });
+    } else out.push([row, col]);
+    return out;
+  }
+
+  // Writes cell copies moved by dr wires and dc columns (wiring, cbits and
+  // block corners included) into `next`, widening it past the last column
+  // if needed. Throws if one would leave the wires or land on a gate.
+  function writeShifted(next, cells, dr, dc) {
+    for (const [r, c, cell] of cells) {
+      const r2 = r + dr, c2 = c + dc;
+      if (r2 < 0 || r2 >= next.length || c2 < 0) throw new Error(`${cell.gate} doesn't fit there`);
+      if (c2 >= next[r2].length) for (const row of next) while (row.length <= c2) row.push(null);
+      if (next[r2][c2]) throw new Error(`t${c2} on q${r2} is already taken`);
+      const moved = shiftWires(cell, dr);
+      if (moved.gate === "M" && moved.cbit < 0) throw new Error(`M on q${r2} would write c${moved.cbit}, before the first classical bit`);
+      if (moved.block) { moved.top += dr; moved.left += dc; }
+      next[r2][c2] = moved;
+    }
+    return next;
+  }
+
+  // Grid with the gate at (row, col) moved, or copied, by (dr, dc).
+  function moveGate(grid, row, col, dr, dc, copy) {
+    const cells = gateCells(grid, row, col).map(([r, c]) => [r, c, grid[r][c]]);
+    const next = grid.map(r => [...r]);
+    if (!copy) for (const [r, c] of cells) next[r][c] = null;
+    return writeShifted(next, cells, dr, dc);
+  }
+
+  // Grid with a clip (see clipFromGrid) pasted with its top-left at (row, col).
+  function pasteClip(grid, clip, row, col) {
+    const cells = [];
+    clip.cells.forEach((cs, r) => cs.forEach((cell, c) => { if (cell) cells.push([r, c, cell]); }));
+    return writeShifted(grid.map(r => [...r]), cells, row, col);
+  }
+
+  // Grid without every gate that has a cell in the rectangle.
+  function clearRect(grid, rect) {
+    const next = grid.map(r => [...r]);
+    for (let r = rect.r0; r <= rect.r1; r++) {
+      for (let c = rect.c0; c <= rect.c1; c++) for (const [gr, gc] of gateCells(grid, r, c)) next[gr][gc] = null;
+    }
+    return next;
+  }
+
+  // ── columns ───────────────────────────────────────────────────
+  // Placed blocks remember their left column, so every column edit moves
+  // the `left` of the blocks after it.
+  const shiftBlocks = (row, from, d) => row.map(c => (c && c.block && c.left >= from ? { ...c, left: c.left + d } : c));
+
+  // Grid with an empty column before `col`.
+  function insertColumn(grid, col) {
+    grid.forEach((row, r) => {
+      if (col > 0 && row[col - 1] && row[col] && sameBlock(row[col - 1], row[col])) {
+        throw new Error(`Can't insert a column inside sub-circuit ${row[col].gate}; collapse it first`);
+      }
+    });
+    return grid.map(row => shiftBlocks([...row.slice(0, col), null, ...row.slice(col)], col, 1));
+  }
+
+  // Grid without column `col` and every gate that touches it.
+  function deleteColumn(grid, col) {
+    return clearRect(grid, { r0: 0, r1: grid.length - 1, c0: col, c1: col })
+      .map(row => shiftBlocks([...row.slice(0, col), ...row.slice(col + 1)], col + 1, -1));
+  }
+
+  // Classical bits written by the gate made of `cells`: an M's own, or
+  // those of the Ms inside a placed block (see blockSteps).
+  function writtenCbits(cells, subcircuits) {
+    const [, , cell] = cells[0];
+    if (cell.gate === "M" && !cell.block) return [cell.cbit];
+    const def = cell.block && (subcircuits || []).find(d => d.name === cell.gate);
+    if (!def) return [];
+    const out = new Set();
+    def.cells.forEach(row => row.forEach(inner => { if (inner && inner.gate === "M") out.add(inner.cbit + cell.top); }));
+    return [...out];
+  }
+
+  // Every gate moved left to its earliest column: just after the last gate
+  // before it on any of its wires, and a measurement (or a block holding
+  // one) after the last one writing the same classical bit, so the circuit
+  // computes the same thing. Trailing empty columns are dropped.
+  function compactGrid(grid, subcircuits) {
+    const next = grid.map(r => r.map(() => null));
+    const free = grid.map(() => 0); // first free column per wire
+    const cbitFree = new Map();      // … and per classical bit
+    const done = new Set();
+    for (let c = 0; c < grid[0].length; c++) {
+      for (let r = 0; r < grid.length; r++) {
+        if (!grid[r][c] || done.has(`${r},${c}`)) continue;
+        const cells = gateCells(grid, r, c).map(([gr, gc]) => [gr, gc, grid[gr][gc]]);
+        cells.forEach(([gr, gc]) => done.add(`${gr},${gc}`));
+        const rows = [...new Set(cells.map(([gr]) => gr))];
+        const left = Math.min(...cells.map(([, gc]) => gc));
+        const right = Math.max(...cells.map(([, gc]) => gc));
+        const cbits = writtenCbits(cells, subcircuits);
+        const to = Math.max(...rows.map(gr => free[gr]), ...cbits.map(b => cbitFree.get(b) || 0));
+        writeShifted(next, cells, 0, to - left);
+        for (const gr of rows) free[gr] = right + to - left + 1;
+        for (const b of cbits) cbitFree.set(b, right + to - left + 1);
+      }
+    }
+    const width = Math.max(MIN_STEPS, lastUsedColumn(next) + 2);
+    return next.map(r => r.slice(0, width));
+  }
+
+  // ── wires ─────────────────────────────────────────────────────
+  // { row, col, gate } for each gate that uses a wire from n up: sits on
+  // it or is wired to it. Classical bits don't count; the classical
+  // register isn't tied to the qubit count.
+  function gatesBeyond(grid, n) {
+    const out = [];
+    const seen = new Set();
+    grid.forEach((cells, r) => cells.forEach((cell, c) => {
+      if (!cell || seen.has(`${r},${c}`)) return;
+      const own = gateCells(grid, r, c);
+      own.forEach(([gr, gc]) => seen.add(`${gr},${gc}`));
+      if (own.some(([gr, gc]) => gr >= n || WIRE_FIELDS.some(f => grid[gr][gc][f] >= n))) out.push({ row: r, col: c, gate: cell.gate });
+    }));
+    return out;
+  }
+
+  // Grid with n wires: new ones are empty, and removing wires drops the
+  // gates that use them (see gatesBeyond) and nothing else.
+  function resizeGrid(grid, n) {
+    if (n >= grid.length) return [...grid, ...emptyGrid(n - grid.length, grid[0].length)];
+    const next = grid.map(r => [...r]);
+    for (const { row, col } of gatesBeyond(grid, n)) for (const [r, c] of gateCells(grid, row, col)) next[r][c] = null;
+    return next.slice(0, n);
+  }
+
+  // Grid with wire r moved to perm[r]; wiring follows its wires, while
+  // measurements keep writing the same classical bits.
+  // Throws if a placed block's wires would no longer be adjacent and in order.
+  function permuteWires(grid, perm) {
+    const next = [];
+    grid.forEach((cells, r) => {
+      next[perm[r]] = cells.map(cell => {
+        if (!cell) return null;
+        if (cell.block) {
+          if (perm[r] - cell.r !== perm[cell.top]) throw new Error(`That would split sub-circuit ${cell.gate} across its wires`);
+          return { ...cell, top: perm[cell.top] };
+        }
+        const out = { ...cell };
+        for (const f of WIRE_FIELDS) if (out[f] != null) out[f] = perm[out[f]];
+        return out;
+      });
+    });
+    return next;
+  }
+
+  // perm for moving wire `from` to position `to`, the others closing up.
+  function wireMove(n, from, to) {
+    const order = Array.from({ length: n }, (_, r) => r);
+    order.splice(from, 1);
+    order.splice(to, 0, from);
+    const perm = [];
+    order.forEach((r, i) => { perm[r] = i; });
+    return perm;
+  }
+
+  return {
+    MIN_STEPS, emptyGrid, lastUsedColumn, withWidth, fitColumns, cellToOp,
+    buildSteps, buildProgram, makeRect, inRect, subcircuitFromGrid,
+    clipFromGrid, blockCells, sameBlock, gateCells, moveGate, pasteClip,
+    clearRect, insertColumn, deleteColumn, compactGrid, gatesBeyond, resizeGrid,
+    permuteWires, wireMove
+  };
+})();
@@ -0,0 +1,285 @@
+/**
+ * library.js — Saved-circuit library: files and storage
+ * Versioned JSON for exporting saved circuits and importing them back,
+ * with validation and migration from older shapes.
+ *
+ * Usage:
+ *   const text = QLibrary.serialize(entries);        // → JSON file contents
+ *   const { circuits, version, skipped } = QLibrary.parse(text);   // throws on bad files
+ *   QLibrary.conflicts(saved, circuits);              // names already in `saved`
+ *   QLibrary.merge(saved, circuits, "rename");        // or "overwrite" → new list
+ *
+ * File format (VERSION 3):
+ *   { format: "quantum-composer-library", version: 3, exported: ISO date,
+ *     circuits: [{ name, qubitCount, grid, init, params, subcircuits, gates, tags, ts }] }
+ * Version 2 had no tags. Version 1 is the shape kept in localStorage before
+ * files existed: a bare array of { name, qubitCount, grid, ts } entries
+ * (init, params and subcircuits optional), or a single such entry.
+ *
+ * parse() throws on the first invalid circuit; with { skipInvalid: true }
+ * it drops them instead and reports how many in `skipped`. Circuits from
+ * elsewhere (e.g. share links) go through the same checks with
+ *   const doc = QLibrary.validateCircuit({ qubitCount, grid, … });   // throws
+ * Beyond shape, every placed cell must be a gate the composer can draw:
+ * wiring inside the register, and blocks and custom gates that name a
+ * definition in the circuit's own subcircuits / gates (custom gates may
+ * also be ones QSim already knows). An init state is either one wire
+ * label per qubit or 2^n finite amplitudes.
+ *
+ * Storage: the browser's library lives in IndexedDB, one record per
+ * circuit keyed by a numeric `id` (never written to files):
+ *   QLibrary.store.list()            // → Promise<[entry]>, newest first
+ *   QLibrary.store.add(entry)        // → Promise<entry with its new id>
+ *   QLibrary.store.put(entry)        // update an entry that has an id
+ *   QLibrary.store.remove(id)
+ * Each rejects with an Error when IndexedDB is unavailable or fails.
+ */
+
+var QLibrary = (function () {
+  "use strict";
+
+  const FORMAT = "quantum-composer-library";
+  const VERSION = 3;
+
+  // ── migrations ────────────────────────────────────────────────
+  // MIGRATIONS[v] turns a version-v file into a version-(v+1) file.
+  const MIGRATIONS = {
+    1: (data) => ({
+      format: FORMAT, version: 2,
+      circuits: (Array.isArray(data) ? data : [data]).map(e => Object.assign(
+        { init: null, params: {}, subcircuits: [], gates: [] }, e)),
+    }),
+    2: (data) => Object.assign({}, data, {
+      version: 3,
+      circuits: data.circuits.map(e => Object.assign({ tags: [] }, e)),
+    }),
+  };
+
+  function versionOf(data) {
+    if (Array.isArray(data)) return 1;
+    if (data && typeof data === "object") {
+      if (data.format === FORMAT) {
+        if (!Number.isInteger(data.version) || data.version < 1) throw new Error("library file has no valid version");
+        if (data.version > VERSION) throw new Error(`library file is version ${data.version}; this app reads up to ${VERSION}`);
+        return data.version;
+      }
+      if ("grid" in data && "qubitCount" in data) return 1;
+    }
+    throw new Error("not a Quantum Composer library file");
+  }
+
+  // ── validation ────────────────────────────────────────────────
+  const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+  const WIRE_FIELDS = ["control", "control1", "control2", "target", "target2"];
+  const ANGLE_FIELDS = ["angle", "theta", "phi", "lambda"];
+  const ROLES = ["ctrl", "ctrl1", "ctrl2", "tgt", "tgt2"];
+  // Composer gates drawn from their role, so their cells need one
+  const WIRED_GATES = ["CX", "CY", "CZ", "CH", "CRx", "CRy", "CRz", "CP", "SWAP", "CCX"];
+  // Input-state labels QSim accepts for a wire
+  const WIRE_STATES = ["0", "1", "+", "-", "i", "-i"];
+
+  // Checks the cell at (r, c) of a grid with n wires; `defs` are the
+  // sub-circuits blocks may name (none inside a sub-circuit).
+  function checkCell(cell, r, c, n, defs, gateNames, fail) {
+    const at = `cell q${r} t${c}`;
+    if (!(isObject(cell) && typeof cell.gate === "string")) fail(`${at} is not a gate`);
+    if (cell.block) {
+      const def = defs && defs.find(d => d.name === cell.gate);
+      if (!def) fail(`${at} uses sub-circuit ${cell.gate}, which the circuit doesn't include`);
+      const ints = ["top", "left", "r", "c"].every(f => Number.isInteger(cell[f]));
+      if (!ints || cell.top + cell.r !== r || cell.left + cell.c !== c
+          || cell.r < 0 || cell.r >= def.wires || cell.c < 0 || cell.c >= def.width) {
+        fail(`${at} is a misplaced piece of sub-circuit ${cell.gate}`);
+      }
+      return;
+    }
+    if (cell.custom && !gateNames.has(cell.gate.toLowerCase())) fail(`${at} uses gate ${cell.gate}, which the circuit doesn't define`);
+    for (const f of WIRE_FIELDS) {
+      if (cell[f] != null && !(Number.isInteger(cell[f]) && cell[f] >= 0 && cell[f] < n)) fail(`${at} is wired to a qubit that doesn't exist`);
+    }
+    if (cell.role != null && !ROLES.includes(cell.role)) fail(`${at} has an unknown role`);
+    if (!cell.custom && WIRED_GATES.includes(cell.gate) && cell.role == null) fail(`${at} is a ${cell.gate} without its wiring`);
+    if (cell.cbit != null && !(Number.isInteger(cell.cbit) && cell.cbit >= 0)) fail(`${at} measures into an invalid classical bit`);
+    for (const f of ANGLE_FIELDS) {
+      if (cell[f] != null && !Number.isFinite(cell[f]) && typeof cell[f] !== "string") fail(`${at} has an invalid ${f}`);
+    }
+  }
+
+  // init is { wires: one WIRE_STATES label per qubit } or
+  // { amplitudes: 2^n { re, im } pairs }.
+  function checkInit(init, n, fail) {
+    if (!isObject(init)) fail("init must be an object");
+    if (Array.isArray(init.wires)) {
+      if (init.wires.length !== n || !init.wires.every(l => WIRE_STATES.includes(l))) {
+        fail(`init.wires needs one of ${WIRE_STATES.join(" ")} per qubit (${n})`);
+      }
+    } else if (Array.isArray(init.amplitudes)) {
+      if (init.amplitudes.length !== 2 ** n
+          || !init.amplitudes.every(a => isObject(a) && Number.isFinite(a.re) && Number.isFinite(a.im))) {
+        fail(`init.amplitudes needs ${2 ** n} { re, im } pairs of finite numbers`);
+      }
+    } else {
+      fail("init needs wires or amplitudes");
+    }
+  }
+
+  function checkGrid(grid, n, defs, gateNames, fail) {
+    grid.forEach((row, r) => {
+      if (!Array.isArray(row) || row.length === 0 || row.length !== grid[0].length) fail(`grid row ${r} has the wrong length`);
+      row.forEach((cell, c) => { if (cell !== null) checkCell(cell, r, c, n, defs, gateNames, fail); });
+    });
+  }
+
+  // Everything but the library's own fields (name, tags, ts).
+  function checkCircuit(e, fail) {
+    if (!isObject(e)) fail("is not an object");
+    const n = e.qubitCount;
+    if (!Number.isInteger(n) || n < 1 || n > QSim.MAX_QUBITS) fail(`qubitCount must be 1–${QSim.MAX_QUBITS}`);
+    if (!Array.isArray(e.grid) || e.grid.length !== n) fail(`grid needs one row per qubit (${n})`);
+    if (e.init != null) checkInit(e.init, n, fail);
+    if (e.params != null && !(isObject(e.params) && Object.values(e.params).every(Number.isFinite))) {
+      fail("params must map names to numbers");
+    }
+    if (e.gates != null && !(Array.isArray(e.gates)
+        && e.gates.every(d => isObject(d) && typeof d.name === "string" && Array.isArray(d.matrix)))) {
+      fail("gates must be a list of { name, matrix }");
+    }
+    const gateNames = new Set([...(e.gates || []), ...QSim.listGates()].map(d => d.name.toLowerCase()));
+    if (e.subcircuits != null && !(Array.isArray(e.subcircuits)
+        && e.subcircuits.every(d => isObject(d) && typeof d.name === "string" && Array.isArray(d.cells)))) {
+      fail("subcircuits must be a list of { name, wires, width, cells }");
+    }
+    (e.subcircuits || []).forEach(d => {
+      const inner = (msg) => fail(`sub-circuit ${d.name}: ${msg}`);
+      if (!Number.isInteger(d.wires) || d.cells.length !== d.wires || !Number.isInteger(d.width)
+          || !d.cells.every(row => Array.isArray(row) && row.length === d.width)) {
+        inner("cells don't match its wires and width");
+      }
+      checkGrid(d.cells, d.wires, null, gateNames, inner);
+    });
+    checkGrid(e.grid, n, e.subcircuits || [], gateNames, fail);
+    return {
+      qubitCount: n, grid: e.grid, init: e.init || null, params: e.params || {},
+      subcircuits: e.subcircuits || [], gates: e.gates || [],
+    };
+  }
+
+  function validateCircuit(doc) {
+    return checkCircuit(doc, (msg) => { throw new Error(msg); });
+  }
+
+  function validateEntry(e, index) {
+    const where = `circuit ${index + 1}` + (e && typeof e.name === "string" ? ` ("${e.name}")` : "");
+    const fail = (msg) => { throw new Error(`${where}: ${msg}`); };
+    if (!isObject(e)) fail("is not an object");
+    if (typeof e.name !== "string" || !e.name.trim()) fail("needs a name");
+    const circuit = checkCircuit(e, fail);
+    if (e.tags != null && !(Array.isArray(e.tags) && e.tags.every(t => typeof t === "string"))) {
+      fail("tags must be a list of strings");
+    }
+    if (e.ts != null && !Number.isFinite(e.ts)) fail("ts must be a timestamp");
+    return Object.assign({ name: e.name.trim() }, circuit, {
+      tags: e.tags || [], ts: e.ts != null ? e.ts : Date.now(),
+    });
+  }
+
+  // ── files ─────────────────────────────────────────────────────
+  function serialize(entries) {
+    const circuits = entries.map(e => { const c = Object.assign({}, e); delete c.id; return c; });
+    return JSON.stringify({ format: FORMAT, version: VERSION, exported: new Date().toISOString(), circuits }, null, 2);
+  }
+
+  function parse(input, options) {
+    const skipInvalid = !!(options && options.skipInvalid);
+    let data = input;
+    if (typeof input === "string") {
+      try { data = JSON.parse(input); }
+      catch (e) { throw new Error("not valid JSON: " + e.message); }
+    }
+    const version = versionOf(data);
+    for (let v = version; v < VERSION; v++) data = MIGRATIONS[v](data);
+    if (!Array.isArray(data.circuits)) throw new Error("library file has no circuits list");
+
+    const circuits = [];
+    let skipped = 0;
+    data.circuits.forEach((e, i) => {
+      try { circuits.push(validateEntry(e, i)); }
+      catch (err) { if (!skipInvalid) throw err; skipped++; }
+    });
+    return { circuits, version, skipped };
+  }
+
+  // ── merging ───────────────────────────────────────────────────
+  function conflicts(existing, incoming) {
+    const names = new Set(existing.map(e => e.name));
+    return [...new Set(incoming.map(e => e.name).filter(n => names.has(n)))];
+  }
+
+  // "Bell" → "Bell (2)", "Bell (3)", … until it is free
+  function uniqueName(name, taken) {
+    if (!taken.has(name)) return name;
+    const base = name.replace(/ \(\d+\)$/, "");
+    let k = 2;
+    while (taken.has(`${base} (${k})`)) k++;
+    return `${base} (${k})`;
+  }
+
+  // Imported circuits go first (the list is newest first). Duplicate names
+  // inside the import itself are always renamed.
+  function merge(existing, incoming, mode) {
+    if (mode !== "rename" && mode !== "overwrite") throw new Error(`unknown merge mode '${mode}'`);
+    const incomingNames = new Set(incoming.map(e => e.name));
+    const kept = mode === "overwrite" ? existing.filter(e => !incomingNames.has(e.name)) : existing;
+    const taken = new Set(kept.map(e => e.name));
+    const added = incoming.map(e => {
+      const name = uniqueName(e.name, taken);
+      taken.add(name);
+      return name === e.name ? e : Object.assign({}, e, { name });
+    });
+    return [...added, ...kept];
+  }
+
+  // ── IndexedDB store ───────────────────────────────────────────
+  const DB_NAME = "quantum-composer";
+  const DB_VERSION = 1;
+  const STORE = "circuits";
+  let dbPromise = null;
+
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") throw new Error("this browser has no IndexedDB");
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: "id", autoIncrement: true });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(new Error("can't open the circuit library: " + (req.error && req.error.message)));
+    });
+    dbPromise.catch(() => { dbPromise = null; }); // let a later call retry
+    return dbPromise;
+  }
+
+  // Runs fn(objectStore) in one transaction; resolves with the value of
+  // the request fn returns once the transaction has committed.
+  function transact(mode, fn) {
+    return openDb().then(db => new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(new Error("circuit library: " + (tx.error && tx.error.message)));
+    }));
+  }
+
+  const store = {
+    list: () => transact("readonly", s => s.getAll()).then(all => all.sort((a, b) => b.ts - a.ts)),
+    add: (entry) => {
+      const e = Object.assign({}, entry);
+      delete e.id;
+      return transact("readwrite", s => s.add(e)).then(id => Object.assign(e, { id }));
+    },
+    put: (entry) => transact("readwrite", s => s.put(entry)).then(() => entry),
+    remove: (id) => transact("readwrite", s => s.delete(id)),
+  };
+
+  return { FORMAT, VERSION, serialize, parse, validateCircuit, conflicts, merge, uniqueName, store };
+})();
@@ -0,0 +1,173 @@
+/**
+ * optimizer.js — Variational (VQE) parameter optimization
+ * Minimizes a function of real parameters with Nelder–Mead, SPSA or
+ * gradient descent. For VQE the parameters are rotation angles and the
+ * function is ⟨H⟩ of the circuit they build, evaluated with QSim.simulate.
+ *
+ * Usage:
+ *   const f = QOptimize.energyFunction(qubitCount, x => program(x), "0.5*ZZ - XI", { initial });
+ *   QOptimize.minimize(f, x0, { method: "nelder-mead", maxIter: 100, onIteration, signal })
+ *     .then(({ x, value, history, evaluations, stopped }) => …);
+ *   // onIteration({ iteration, value, best, x }) after every step;
+ *   // history = [{ iteration, value, best }], iteration 0 = the start point
+ *
+ * Methods: "nelder-mead", "spsa" and "gradient" (descent along
+ * options.gradient, by default QOptimize.parameterShift(f), which is exact
+ * when every parameter is the angle of one Rx/Ry/Rz gate). The loop yields
+ * to the event loop between iterations so pages stay responsive; aborting
+ * options.signal stops it with the best point so far.
+ */
+
+var QOptimize = (function () {
+  "use strict";
+
+  const METHODS = ["nelder-mead", "spsa", "gradient"];
+  const DEFAULTS = {
+    "nelder-mead": { step: 0.5 },                 // initial simplex edge (rad)
+    "spsa":        { step: 0.1, learningRate: 0.5 },
+    "gradient":    { learningRate: 0.2 },
+  };
+  const TOLERANCE = 1e-8;
+  const SHIFT = Math.PI / 2;
+
+  // ── objectives ────────────────────────────────────────────────
+  // ⟨H⟩ of build(x). Measurements are dropped: the energy is that of the
+  // state before readout.
+  function energyFunction(qubitCount, build, hamiltonian, options) {
+    const terms = typeof hamiltonian === "string" ? QSim.parsePauliSum(hamiltonian, qubitCount) : hamiltonian;
+    const initial = options && options.initial;
+    return (x) => {
+      const program = build(x).filter(op => op.gate !== "measure");
+      const result = QSim.simulate(qubitCount, program, { initial });
+      return QSim.pauliExpectation(result.statevector, terms);
+    };
+  }
+
+  // ∂f/∂x_i = [f(x + π/2·e_i) − f(x − π/2·e_i)] / 2 for Pauli rotations.
+  function parameterShift(f) {
+    return (x) => x.map((_, i) => {
+      const plus = x.slice(), minus = x.slice();
+      plus[i] += SHIFT;
+      minus[i] -= SHIFT;
+      return (f(plus) - f(minus)) / 2;
+    });
+  }
+
+  // ── methods ───────────────────────────────────────────────────
+  // Each is a generator yielding the current value once per iteration.
+
+  function* nelderMead(f, x0, opts) {
+    const n = x0.length;
+    let simplex = [x0.slice()];
+    for (let i = 0; i < n; i++) {
+      const v = x0.slice();
+      v[i] += opts.step;
+      simplex.push(v);
+    }
+    let values = simplex.map(f);
+    const at = (c, d, t) => c.map((ci, k) => ci + t * (d[k] - ci)); // c + t·(d − c)
+
+    while (true) {
+      const order = values.map((_, i) => i).sort((a, b) => values[a] - values[b]);
+      simplex = order.map(i => simplex[i]);
+      values = order.map(i => values[i]);
+      yield { value: values[0], x: simplex[0] };
+      if (values[n] - values[0] < opts.tolerance) return;
+
+      const centroid = new Array(n).fill(0);
+      for (let i = 0; i < n; i++) simplex[i].forEach((v, k) => { centroid[k] += v / n; });
+      const worst = simplex[n];
+      const xr = at(centroid, worst, -1), fr = f(xr);
+      if (fr < values[0]) {
+        const xe = at(centroid, worst, -2), fe = f(xe);
+        [simplex[n], values[n]] = fe < fr ? [xe, fe] : [xr, fr];
+        continue;
+      }
+      if (fr < values[n - 1]) { simplex[n] = xr; values[n] = fr; continue; }
+      const outside = fr < values[n];
+      const xc = at(centroid, outside ? xr : worst, 0.5), fc = f(xc);
+      if (outside ? fc <= fr : fc < values[n]) { simplex[n] = xc; values[n] = fc; continue; }
+      for (let i = 1; i <= n; i++) {
+        simplex[i] = at(simplex[0], simplex[i], 0.5);
+        values[i] = f(simplex[i]);
+      }
+    }
+  }
+
+  // Spall's gain sequences a_k = a/(k+1+A)^0.602, c_k = c/(k+1)^0.101.
+  function* spsa(f, x0, opts) {
+    const rng = makeRng(opts.seed);
+    const stability = 0.1 * opts.maxIter;
+    let x = x0.slice();
+    yield { value: f(x), x };
+    for (let k = 0; ; k++) {
+      const ak = opts.learningRate / Math.pow(k + 1 + stability, 0.602);
+      const ck = opts.step / Math.pow(k + 1, 0.101);
+      const delta = x.map(() => (rng() < 0.5 ? -1 : 1));
+      const diff = f(x.map((v, i) => v + ck * delta[i])) - f(x.map((v, i) => v - ck * delta[i]));
+      x = x.map((v, i) => v - ak * diff / (2 * ck * delta[i]));
+      yield { value: f(x), x };
+    }
+  }
+
+  function* gradientDescent(f, x0, opts) {
+    const gradient = opts.gradient || parameterShift(f);
+    let x = x0.slice();
+    yield { value: f(x), x };
+    while (true) {
+      const g = gradient(x);
+      if (Math.hypot(...g) < opts.tolerance) return;
+      x = x.map((v, i) => v - opts.learningRate * g[i]);
+      yield { value: f(x), x };
+    }
+  }
+
+  const RUNNERS = { "nelder-mead": nelderMead, "spsa": spsa, "gradient": gradientDescent };
+
+  // ── driver ────────────────────────────────────────────────────
+  async function minimize(f, x0, options) {
+    const method = (options && options.method) || "nelder-mead";
+    if (!RUNNERS[method]) throw new Error(`unknown method '${method}' (use ${METHODS.join(", ")})`);
+    if (!x0.length) throw new Error("nothing to optimize: no parameters");
+    const opts = Object.assign({ maxIter: 100, tolerance: TOLERANCE, seed: 1 }, DEFAULTS[method], options);
+
+    // Every evaluation counts towards the best point, not just the
+    // iterates (SPSA's perturbed points are often better).
+    let evaluations = 0;
+    let best = { x: x0.slice(), value: Infinity };
+    const counted = (x) => {
+      evaluations++;
+      const value = f(x);
+      if (value < best.value) best = { x: x.slice(), value };
+      return value;
+    };
+
+    const history = [];
+    const steps = RUNNERS[method](counted, x0, opts);
+    let stopped = false;
+    for (let iteration = 0; iteration <= opts.maxIter; iteration++) {
+      if (opts.signal && opts.signal.aborted) { stopped = true; break; }
+      const step = steps.next();
+      if (step.done) break;
+      const entry = { iteration, value: step.value.value, best: best.value };
+      history.push(entry);
+      if (opts.onIteration) opts.onIteration(Object.assign({ x: step.value.x.slice() }, entry));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    return { x: best.x, value: best.value, history, evaluations, stopped };
+  }
+
+  // mulberry32, so SPSA runs are reproducible
+  function makeRng(seed) {
+    let s = seed >>> 0;
+    return function () {
+      s = (s + 0x6D2B79F5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  return { METHODS, minimize, energyFunction, parameterShift };
+})();
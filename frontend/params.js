@@ -0,0 +1,148 @@
+/**
+ * params.js — Symbolic gate angles
+ * The angle fields of a program op (angle, theta, phi, lambda) may hold
+ * an expression string such as "theta", "pi/4" or "-2*phi + 0.1" instead
+ * of a number. Expressions use numbers, pi (or π), tau, free parameter
+ * names, + - * /, unary minus and parentheses. Programs are bound to
+ * numbers before they reach QSim.
+ *
+ * Usage:
+ *   const e = QParams.compile("2*phi + pi/4");   // throws on syntax errors
+ *   e.symbols;                        // ["phi"]
+ *   e.evaluate({ phi: 0.3 });         // 1.38539816…
+ *   QParams.symbols(program);         // sorted free parameters of a program
+ *   QParams.bind(program, { phi: 0.3 });   // copy with numeric angles
+ *
+ * Syntax errors are thrown as Error objects whose message starts with
+ * "Column C:"; binding a program without a value for one of its
+ * parameters throws as well.
+ */
+
+var QParams = (function () {
+  "use strict";
+
+  const ANGLE_FIELDS = ["angle", "theta", "phi", "lambda"];
+  const CONSTANTS = { pi: Math.PI, PI: Math.PI, "π": Math.PI, tau: 2 * Math.PI };
+  const IDENT_RE = /^[A-Za-z_\u0370-\u03FF][A-Za-z0-9_\u0370-\u03FF]*/; // Greek letters too
+  const NUMBER_RE = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+
+  // ── tokenizer ─────────────────────────────────────────────────
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+      if (/\s/.test(text[i])) { i++; continue; }
+      const rest = text.slice(i);
+      let m, type;
+      if ((m = NUMBER_RE.exec(rest))) type = "num";
+      else if ((m = IDENT_RE.exec(rest))) type = "id";
+      else if ("+-*/()".includes(text[i])) { m = [text[i]]; type = "sym"; }
+      else fail(i + 1, `unexpected '${text[i]}'`);
+      tokens.push({ type, value: m[0], column: i + 1 });
+      i += m[0].length;
+    }
+    tokens.push({ type: "eof", value: "end of input", column: text.length + 1 });
+    return tokens;
+  }
+
+  function fail(column, message) {
+    const e = new Error(`Column ${column}: ${message}`);
+    e.column = column;
+    throw e;
+  }
+
+  // ── parser ────────────────────────────────────────────────────
+  // Builds a closure (bindings → number) per node, recording the free
+  // parameter names it meets.
+  function parse(text) {
+    const tokens = tokenize(text);
+    const symbols = new Set();
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const isSym = (v) => peek().type === "sym" && peek().value === v;
+
+    function expression() {
+      let f = term();
+      while (isSym("+") || isSym("-")) {
+        const a = f, b = (next().value === "+" ? term() : negate(term()));
+        f = (env) => a(env) + b(env);
+      }
+      return f;
+    }
+    function term() {
+      let f = factor();
+      while (isSym("*") || isSym("/")) {
+        const a = f, op = next().value, b = factor();
+        f = op === "*" ? (env) => a(env) * b(env) : (env) => a(env) / b(env);
+      }
+      return f;
+    }
+    function factor() {
+      const t = next();
+      if (t.type === "sym" && t.value === "-") return negate(factor());
+      if (t.type === "sym" && t.value === "+") return factor();
+      if (t.type === "sym" && t.value === "(") {
+        const f = expression();
+        const close = next();
+        if (close.type !== "sym" || close.value !== ")") fail(close.column, `expected ')' but found '${close.value}'`);
+        return f;
+      }
+      if (t.type === "num") { const v = parseFloat(t.value); return () => v; }
+      if (t.type === "id" && t.value in CONSTANTS) { const v = CONSTANTS[t.value]; return () => v; }
+      if (t.type === "id") {
+        const name = t.value;
+        symbols.add(name);
+        return (env) => {
+          if (!env || typeof env[name] !== "number") throw new Error(`parameter '${name}' has no value`);
+          return env[name];
+        };
+      }
+      return fail(t.column, t.type === "eof" ? "expression ends too early" : `unexpected '${t.value}'`);
+    }
+    function negate(f) { return (env) => -f(env); }
+
+    const f = expression();
+    if (peek().type !== "eof") fail(peek().column, `unexpected '${peek().value}'`);
+    return { evaluate: f, symbols: [...symbols].sort() };
+  }
+
+  // Compiled expressions by source text: sliders rebind the same few
+  // expressions on every move.
+  const cache = new Map();
+
+  function compile(text) {
+    const src = String(text).trim();
+    if (!src) throw new Error("Column 1: empty expression");
+    let c = cache.get(src);
+    if (!c) {
+      c = Object.assign({ text: src }, parse(src));
+      cache.set(src, c);
+    }
+    return c;
+  }
+
+  // ── programs ──────────────────────────────────────────────────
+  function symbols(program) {
+    const out = new Set();
+    for (const op of program) {
+      for (const f of ANGLE_FIELDS) {
+        if (typeof op[f] === "string") compile(op[f]).symbols.forEach(s => out.add(s));
+      }
+    }
+    return [...out].sort();
+  }
+
+  function bind(program, bindings) {
+    return program.map(op => {
+      if (!ANGLE_FIELDS.some(f => typeof op[f] === "string")) return op;
+      const out = Object.assign({}, op);
+      for (const f of ANGLE_FIELDS) {
+        if (typeof out[f] === "string") out[f] = compile(out[f]).evaluate(bindings || {});
+      }
+      return out;
+    });
+  }
+
+  return { ANGLE_FIELDS, compile, symbols, bind };
+})();
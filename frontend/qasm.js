@@ -0,0 +1,380 @@
+/**
+ * qasm.js — OpenQASM 2.0 / 3.0 import and export
+ * Converts between OpenQASM text and the QSim program format
+ * ({gate, target, control…} objects, see quantum-sim.js).
+ *
+ * Usage:
+ *   const text = QASM.serialize(qubitCount, program, { version: "3.0" });
+ *   const { qubitCount, program } = QASM.parse(text);
+ *
+ * Parse errors are thrown as Error objects whose message starts with
+ * "Line L, column C:" and which carry numeric `line` / `column` fields.
+ * Supported: qelib1.inc / stdgates.inc gates that QSim implements (plus
+ * u1/u2/p, read as U3, and cu1/cphase, read as CP), qreg/creg and
+ * qubit/bit declarations (several registers are laid out in declaration
+ * order), register broadcast, barrier, and both measure syntaxes. Custom
+ * gate definitions, control flow and reset are rejected. Likewise
+ * serialize throws, naming them, for programs that use gates registered
+ * with QSim.defineGate, as these have no definition it could emit.
+ */
+
+var QASM = (function () {
+  "use strict";
+
+  // QASM gate name → { gate, qubits, params } in QSim terms. `angles`
+  // turns the QASM parameters into op fields when they aren't a lone angle.
+  const U3_ANGLES = p => ({ theta: p[0], phi: p[1], lambda: p[2] });
+  const GATE_DEFS = {
+    h:    { gate: "h",    qubits: 1, params: 0 },
+    x:    { gate: "x",    qubits: 1, params: 0 },
+    y:    { gate: "y",    qubits: 1, params: 0 },
+    z:    { gate: "z",    qubits: 1, params: 0 },
+    s:    { gate: "s",    qubits: 1, params: 0 },
+    t:    { gate: "t",    qubits: 1, params: 0 },
+    sdg:  { gate: "sdg",  qubits: 1, params: 0 },
+    tdg:  { gate: "tdg",  qubits: 1, params: 0 },
+    sx:   { gate: "sx",   qubits: 1, params: 0 },
+    rx:   { gate: "rx",   qubits: 1, params: 1 },
+    ry:   { gate: "ry",   qubits: 1, params: 1 },
+    rz:   { gate: "rz",   qubits: 1, params: 1 },
+    u3:   { gate: "u3",   qubits: 1, params: 3, angles: U3_ANGLES },
+    u:    { gate: "u3",   qubits: 1, params: 3, angles: U3_ANGLES },
+    U:    { gate: "u3",   qubits: 1, params: 3, angles: U3_ANGLES },
+    u2:   { gate: "u3",   qubits: 1, params: 2, angles: p => ({ theta: Math.PI / 2, phi: p[0], lambda: p[1] }) },
+    u1:   { gate: "u3",   qubits: 1, params: 1, angles: p => ({ theta: 0, phi: 0, lambda: p[0] }) },
+    p:    { gate: "u3",   qubits: 1, params: 1, angles: p => ({ theta: 0, phi: 0, lambda: p[0] }) },
+    cx:   { gate: "cx",   qubits: 2, params: 0 },
+    CX:   { gate: "cx",   qubits: 2, params: 0 },
+    cy:   { gate: "cy",   qubits: 2, params: 0 },
+    cz:   { gate: "cz",   qubits: 2, params: 0 },
+    ch:   { gate: "ch",   qubits: 2, params: 0 },
+    crx:  { gate: "crx",  qubits: 2, params: 1 },
+    cry:  { gate: "cry",  qubits: 2, params: 1 },
+    crz:  { gate: "crz",  qubits: 2, params: 1 },
+    cp:   { gate: "cp",   qubits: 2, params: 1 },
+    cu1:  { gate: "cp",   qubits: 2, params: 1 },
+    cphase: { gate: "cp", qubits: 2, params: 1 },
+    swap: { gate: "swap", qubits: 2, params: 0 },
+    ccx:  { gate: "ccx",  qubits: 3, params: 0 },
+  };
+
+  // QSim gates spelled differently in qelib1.inc
+  const QASM2_NAMES = { cp: "cu1" };
+
+  const IGNORED_GATES = new Set(["id", "barrier"]);
+  const UNSUPPORTED_KEYWORDS = new Set([
+    "gate", "opaque", "if", "reset", "def", "for", "while", "defcal", "cal",
+    "let", "const", "input", "output", "box", "delay", "ctrl", "inv", "pow",
+  ]);
+
+  // ── export ────────────────────────────────────────────────────
+  function formatAngle(v) {
+    const ratio = v / Math.PI;
+    for (const d of [1, 2, 3, 4, 6, 8]) {
+      const k = Math.round(ratio * d);
+      if (k !== 0 && Math.abs(ratio * d - k) < 1e-9) {
+        const num = (k < 0 ? "-" : "") + (Math.abs(k) === 1 ? "" : Math.abs(k) + "*") + "pi";
+        return d === 1 ? num : num + "/" + d;
+      }
+    }
+    return String(Number(v.toPrecision(15)));
+  }
+
+  function operandList(op) {
+    const g = op.gate.toLowerCase();
+    if (g === "ccx") return [op.control1, op.control2, op.target];
+    if (op.target2 != null) return [op.target, op.target2]; // swap, custom two-qubit gates
+    if (op.control != null) return [op.control, op.target];
+    return [op.target];
+  }
+
+  function paramList(op) {
+    if (op.gate.toLowerCase() === "u3") return [op.theta, op.phi, op.lambda];
+    return op.angle != null ? [op.angle] : [];
+  }
+
+  function serialize(qubitCount, program, options) {
+    const version = (options && options.version) || "2.0";
+    const v3 = version.charAt(0) === "3";
+    const custom = [...new Set(program.map(op => op.gate)
+      .filter(g => g.toLowerCase() !== "measure" && !Object.prototype.hasOwnProperty.call(GATE_DEFS, g.toLowerCase())))];
+    if (custom.length) throw new Error(`Custom gates can't be exported as OpenQASM: ${custom.join(", ")}`);
+    const measures = program.filter(op => op.gate.toLowerCase() === "measure");
+    const clbitCount = measures.length
+      ? Math.max(...measures.map(m => (m.cbit != null ? m.cbit : m.target))) + 1
+      : 0;
+
+    const lines = [];
+    if (v3) {
+      lines.push("OPENQASM 3.0;", 'include "stdgates.inc";', `qubit[${qubitCount}] q;`);
+      if (clbitCount) lines.push(`bit[${clbitCount}] c;`);
+    } else {
+      lines.push("OPENQASM 2.0;", 'include "qelib1.inc";', `qreg q[${qubitCount}];`);
+      if (clbitCount) lines.push(`creg c[${clbitCount}];`);
+    }
+
+    for (const op of program) {
+      const g = op.gate.toLowerCase();
+      if (g === "measure") {
+        const c = op.cbit != null ? op.cbit : op.target;
+        lines.push(v3 ? `c[${c}] = measure q[${op.target}];` : `measure q[${op.target}] -> c[${c}];`);
+        continue;
+      }
+      const angles = paramList(op);
+      const params = angles.length ? `(${angles.map(formatAngle).join(", ")})` : "";
+      const name = (!v3 && QASM2_NAMES[g]) || g;
+      lines.push(`${name}${params} ${operandList(op).map(q => `q[${q}]`).join(", ")};`);
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  // ── tokenizer ─────────────────────────────────────────────────
+  // Tokens: { type: "id"|"num"|"str"|"sym", value, line, column }
+  function tokenize(text) {
+    const tokens = [];
+    let i = 0, line = 1, col = 1;
+    const advance = (n) => {
+      for (let k = 0; k < n; k++) {
+        if (text[i] === "\n") { line++; col = 1; } else col++;
+        i++;
+      }
+    };
+    while (i < text.length) {
+      const ch = text[i];
+      if (/\s/.test(ch)) { advance(1); continue; }
+      if (text.startsWith("//", i)) {
+        while (i < text.length && text[i] !== "\n") advance(1);
+        continue;
+      }
+      if (text.startsWith("/*", i)) {
+        const end = text.indexOf("*/", i + 2);
+        if (end < 0) fail({ line, column: col }, "unterminated block comment");
+        advance(end + 2 - i);
+        continue;
+      }
+      const start = { line, column: col };
+      let m;
+      if ((m = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i, i + 64)))) {
+        tokens.push(Object.assign({ type: "id", value: m[0] }, start));
+        advance(m[0].length);
+      } else if ((m = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i, i + 64)))) {
+        tokens.push(Object.assign({ type: "num", value: m[0] }, start));
+        advance(m[0].length);
+      } else if (ch === '"') {
+        const end = text.indexOf('"', i + 1);
+        if (end < 0) fail(start, "unterminated string");
+        tokens.push(Object.assign({ type: "str", value: text.slice(i + 1, end) }, start));
+        advance(end + 1 - i);
+      } else if (text.startsWith("->", i)) {
+        tokens.push(Object.assign({ type: "sym", value: "->" }, start));
+        advance(2);
+      } else if (ch === "π") {
+        tokens.push(Object.assign({ type: "id", value: "pi" }, start));
+        advance(1);
+      } else {
+        // Any other character is a symbol; the parser reports it in context,
+        // so `gate foo a { … }` fails on `gate` rather than on `{`.
+        tokens.push(Object.assign({ type: "sym", value: ch }, start));
+        advance(1);
+      }
+    }
+    tokens.push({ type: "eof", value: "end of input", line, column: col });
+    return tokens;
+  }
+
+  function fail(pos, message) {
+    const e = new Error(`Line ${pos.line}, column ${pos.column}: ${message}`);
+    e.line = pos.line;
+    e.column = pos.column;
+    throw e;
+  }
+
+  // ── parser ────────────────────────────────────────────────────
+  function parse(text) {
+    const tokens = tokenize(text);
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const next = () => tokens[pos++];
+    const isSym = (v) => peek().type === "sym" && peek().value === v;
+    const expectSym = (v) => {
+      const t = next();
+      if (t.type !== "sym" || t.value !== v) fail(t, `expected '${v}' but found '${t.value}'`);
+      return t;
+    };
+    const expectType = (type, what) => {
+      const t = next();
+      if (t.type !== type) fail(t, `expected ${what} but found '${t.value}'`);
+      return t;
+    };
+    const expectInt = () => {
+      const t = expectType("num", "an integer");
+      if (!/^\d+$/.test(t.value)) fail(t, `expected an integer but found '${t.value}'`);
+      return parseInt(t.value, 10);
+    };
+
+    const qregs = new Map(); // name → { offset, size }
+    const cregs = new Map();
+    let qubitCount = 0, clbitCount = 0;
+    const program = [];
+
+    function declare(regs, nameTok, size, isQuantum) {
+      if (qregs.has(nameTok.value) || cregs.has(nameTok.value)) fail(nameTok, `register '${nameTok.value}' is already declared`);
+      if (isQuantum) { regs.set(nameTok.value, { offset: qubitCount, size }); qubitCount += size; }
+      else { regs.set(nameTok.value, { offset: clbitCount, size }); clbitCount += size; }
+    }
+
+    // `name` or `name[i]` → list of flat indices
+    function operand(regs, kind) {
+      const nameTok = expectType("id", `a ${kind} register`);
+      const reg = regs.get(nameTok.value);
+      if (!reg) fail(nameTok, `unknown ${kind} register '${nameTok.value}'`);
+      if (isSym("[")) {
+        next();
+        const idxTok = peek();
+        const idx = expectInt();
+        expectSym("]");
+        if (idx >= reg.size) fail(idxTok, `index ${idx} out of range for '${nameTok.value}[${reg.size}]'`);
+        return { tok: nameTok, indices: [reg.offset + idx] };
+      }
+      return { tok: nameTok, indices: Array.from({ length: reg.size }, (_, k) => reg.offset + k) };
+    }
+
+    // Pair up operands, broadcasting whole registers over single indices.
+    function broadcast(operands, tok) {
+      const sizes = operands.map(o => o.indices.length).filter(n => n > 1);
+      const width = sizes.length ? sizes[0] : 1;
+      if (sizes.some(n => n !== width)) fail(tok, "register sizes do not match");
+      return Array.from({ length: width }, (_, k) =>
+        operands.map(o => (o.indices.length === 1 ? o.indices[0] : o.indices[k])));
+    }
+
+    // Angle expressions: numbers, pi, + - * /, unary minus, parentheses
+    function expression() {
+      let v = term();
+      while (isSym("+") || isSym("-")) v = next().value === "+" ? v + term() : v - term();
+      return v;
+    }
+    function term() {
+      let v = factor();
+      while (isSym("*") || isSym("/")) v = next().value === "*" ? v * factor() : v / factor();
+      return v;
+    }
+    function factor() {
+      const t = next();
+      if (t.type === "sym" && t.value === "-") return -factor();
+      if (t.type === "sym" && t.value === "+") return factor();
+      if (t.type === "sym" && t.value === "(") { const v = expression(); expectSym(")"); return v; }
+      if (t.type === "num") return parseFloat(t.value);
+      if (t.type === "id" && (t.value === "pi" || t.value === "PI")) return Math.PI;
+      if (t.type === "id" && t.value === "tau") return 2 * Math.PI;
+      return fail(t, `unsupported expression '${t.value}'`);
+    }
+
+    function requireQubits(tok) {
+      if (!qubitCount) fail(tok, "no quantum register declared before use");
+    }
+
+    // header
+    const head = peek();
+    if (head.type === "id" && head.value === "OPENQASM") {
+      next();
+      const vt = expectType("num", "a version number");
+      if (!/^[23](\.0)?$/.test(vt.value)) fail(vt, `unsupported OpenQASM version ${vt.value}`);
+      expectSym(";");
+    }
+
+    while (peek().type !== "eof") {
+      const t = next();
+      if (t.type !== "id") fail(t, `unexpected '${t.value}'`);
+      const kw = t.value;
+
+      if (kw === "include") {
+        const f = expectType("str", "a file name");
+        if (f.value !== "qelib1.inc" && f.value !== "stdgates.inc") fail(f, `unsupported include "${f.value}"`);
+        expectSym(";");
+      } else if (kw === "qreg" || kw === "creg") {
+        const nameTok = expectType("id", "a register name");
+        expectSym("[");
+        const size = expectInt();
+        expectSym("]");
+        expectSym(";");
+        declare(kw === "qreg" ? qregs : cregs, nameTok, size, kw === "qreg");
+      } else if (kw === "qubit" || kw === "bit") {
+        let size = 1;
+        if (isSym("[")) { next(); size = expectInt(); expectSym("]"); }
+        const nameTok = expectType("id", "a register name");
+        if (isSym("=")) fail(peek(), "initialised declarations are not supported");
+        expectSym(";");
+        declare(kw === "qubit" ? qregs : cregs, nameTok, size, kw === "qubit");
+      } else if (kw === "measure") {
+        // QASM 2: measure q[0] -> c[0];
+        requireQubits(t);
+        const q = operand(qregs, "quantum");
+        expectSym("->");
+        const c = operand(cregs, "classical");
+        expectSym(";");
+        for (const [tq, tc] of broadcast([q, c], t)) program.push({ gate: "measure", target: tq, cbit: tc });
+      } else if (cregs.has(kw) && (isSym("[") || isSym("="))) {
+        // QASM 3: c[0] = measure q[0];
+        pos--;
+        const c = operand(cregs, "classical");
+        expectSym("=");
+        const m = expectType("id", "'measure'");
+        if (m.value !== "measure") fail(m, `unsupported classical assignment '${m.value}'`);
+        requireQubits(m);
+        const q = operand(qregs, "quantum");
+        expectSym(";");
+        for (const [tq, tc] of broadcast([q, c], m)) program.push({ gate: "measure", target: tq, cbit: tc });
+      } else if (UNSUPPORTED_KEYWORDS.has(kw)) {
+        fail(t, `unsupported construct '${kw}'`);
+      } else if (IGNORED_GATES.has(kw)) {
+        // barrier/id only affect scheduling — consume their operands
+        if (isSym("(")) fail(peek(), `'${kw}' takes no parameters`);
+        requireQubits(t);
+        operand(qregs, "quantum");
+        while (isSym(",")) { next(); operand(qregs, "quantum"); }
+        expectSym(";");
+      } else if (Object.prototype.hasOwnProperty.call(GATE_DEFS, kw)) {
+        const def = GATE_DEFS[kw];
+        const params = [];
+        if (isSym("(")) {
+          next();
+          if (!isSym(")")) {
+            params.push(expression());
+            while (isSym(",")) { next(); params.push(expression()); }
+          }
+          expectSym(")");
+        }
+        if (params.length !== def.params) fail(t, `'${kw}' expects ${def.params} parameter(s), got ${params.length}`);
+        requireQubits(t);
+        const operands = [operand(qregs, "quantum")];
+        while (isSym(",")) { next(); operands.push(operand(qregs, "quantum")); }
+        expectSym(";");
+        if (operands.length !== def.qubits) fail(t, `'${kw}' expects ${def.qubits} qubit(s), got ${operands.length}`);
+        for (const qs of broadcast(operands, t)) {
+          if (new Set(qs).size !== qs.length) fail(t, `'${kw}' needs distinct qubits`);
+          program.push(makeOp(def, qs, params));
+        }
+      } else {
+        fail(t, `unsupported gate or statement '${kw}'`);
+      }
+    }
+
+    if (!qubitCount) fail(peek(), "no quantum register declared");
+    return { qubitCount, clbitCount, program };
+  }
+
+  function makeOp(def, qs, params) {
+    if (def.gate === "ccx") return { gate: "ccx", control1: qs[0], control2: qs[1], target: qs[2] };
+    if (def.gate === "swap") return { gate: "swap", target: qs[0], target2: qs[1] };
+    const op = def.qubits === 2
+      ? { gate: def.gate, control: qs[0], target: qs[1] }
+      : { gate: def.gate, target: qs[0] };
+    if (def.angles) Object.assign(op, def.angles(params));
+    else if (def.params) op.angle = params[0];
+    return op;
+  }
+
+  // public API
+  return { serialize, parse };
+})();
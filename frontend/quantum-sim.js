@@ -1,18 +1,77 @@
 /**
  * quantum-sim.js — Client-side statevector simulator
- * Supports: H, X, Y, Z, S, T, Rx, Ry, Rz, CX, CCX
- * Max 4 qubits (16 amplitudes). All math in Float64.
+ * Supports: H, X, Y, Z, S, T, Sdg, Tdg, SX, Rx, Ry, Rz, U3, CX, CY, CZ,
+ * CH, CRx, CRy, CRz, CP, SWAP, CCX, measure
+ * Max 20 qubits (2^20 amplitudes, QSim.MAX_QUBITS). All math in Float64.
  *
  * Usage:
- *   const result = QSim.simulate(qubitCount, program);
- *   // result = { qubit_count, statevector:[{re,im}], probabilities:[], phases:[] }
+ *   const result = QSim.simulate(qubitCount, program, { onProgress });
+ *   // result = { qubit_count, statevector:[{re,im}], probabilities:[], phases:[],
+ *   //            bloch:[{x,y,z}] }   // reduced state of each qubit
+ *   // onProgress(done, total) is optional and fires after every op.
+ *
+ *   const sample = QSim.run(qubitCount, program, { shots: 1024, seed: 42 });
+ *   // sample = { qubit_count, shots, clbit_count, counts:{ "01": 517, … } }
+ *
+ *   const { matrix, global_phase } = QSim.unitary(qubitCount, program, { upToGlobalPhase: true });
+ *   // matrix[r][c] = ⟨r|U|c⟩ as {re, im}; max 10 qubits (QSim.UNITARY_MAX_QUBITS)
+ *
+ *   const snaps = QSim.simulateSteps(qubitCount, [prog0, prog1, …], { at: [1] });
+ *   // snaps = [{ step: 1, …simulate result after prog0 + prog1 }]
+ *
+ * Initial state: every call above starts from |0…0⟩ unless given
+ * { initial }, either one label per qubit ("0", "1", "+", "-", "i", "-i")
+ * or a normalized vector of 2^n amplitudes ({re, im} or real numbers):
+ *   QSim.simulate(2, program, { initial: ["1", "-"] });   // q0 = |1⟩, q1 = |−⟩
+ *
+ * Ops: {gate:"h", target}, {gate:"rx", target, angle},
+ * {gate:"u3", target, theta, phi, lambda}, {gate:"cx", control, target},
+ * {gate:"crz"|"cp", control, target, angle}, {gate:"swap", target, target2},
+ * {gate:"ccx", control1, control2, target}.
+ *
+ * Custom gates: register a 2×2 or 4×4 unitary under a new name, then use
+ * it like a built-in gate (two-qubit gates take target = low bit of the
+ * matrix index and target2 = high bit):
+ *   QSim.defineGate("myU", [[{re:0,im:1}, 0], [0, 1]]);   // throws unless unitary
+ *   QSim.simulate(2, [{ gate: "myu", target: 0 }]);
+ *   QSim.listGates();              // → [{ name, matrix }] for setGates / workers
+ *   QSim.setGates(defs); QSim.removeGate("myU");
+ *
+ * Measurement ops look like {gate:"measure", target, cbit}. `simulate`
+ * returns the exact pre-measurement state and skips them; `run` samples
+ * them shot by shot. A program without any measure op is measured on
+ * every qubit (qubit i → classical bit i). Count keys list classical
+ * bits high-to-low, so bit 0 is the rightmost character.
+ *
+ * Observables: Pauli sums like "0.5*ZZ - 0.3*XI" (qubit 0 rightmost):
+ *   QSim.expectation(2, program, "0.5*ZZ - 0.3*XI");   // ⟨H⟩ (Tr ρH with { noise })
+ *   QSim.expectation(2, program, ["ZI", "IZ"], { initial });   // → [⟨Z1⟩, ⟨Z0⟩]
+ *   QSim.pauliExpectation(result.statevector, "ZZ");   // ⟨ψ|ZZ|ψ⟩
+ *   QSim.parsePauliSum("0.5*ZZ - 0.3*XI", 2);  // → [{ coef, pauli }], throws on bad input
+ *
+ * Noise: passing { noise } with gate or qubit channels to `simulate` or
+ * `run` switches to the density-matrix backend (max 10 qubits,
+ * QSim.DENSITY_MAX_QUBITS); readout errors alone keep the statevector:
+ *   const noise = {
+ *     gates:   { "*": [QSim.noise.depolarizing(0.01)], cx: [QSim.noise.amplitudeDamping(0.05)] },
+ *     qubits:  { 0: [QSim.noise.phaseDamping(0.02)] },
+ *     readout: { p10: 0.02, p01: 0.04 },   // or an array, one entry per qubit
+ *   };
+ *   QSim.simulate(2, program, { noise });
+ *   // → { qubit_count, method:"density", probabilities, purity, fidelity, bloch }
+ * Channels in gates[name] ("*" = every gate) and qubits[q] are applied to
+ * each qubit a gate touches, right after the gate. Readout errors flip
+ * sampled bits: p10 = P(read 1 | 0), p01 = P(read 0 | 1). `fidelity` is
+ * ⟨ψ|ρ|ψ⟩ against the noiseless statevector ψ of the same program.
+ * { method: "density" } without noise runs the same backend noiselessly.
  */
 
 var QSim = (function () {
   "use strict";
 
-  // ── complex helpers ────────────────────────────────────────────
-  function cmul(ar, ai, br, bi) { return [ar * br - ai * bi, ar * bi + ai * br]; }
+  const MAX_QUBITS = 20;
+  const DENSITY_MAX_QUBITS = 10; // ρ holds 4^n amplitudes
+  const UNITARY_MAX_QUBITS = 10;  // so does U
 
   // ── gate matrices (row-major 2×2) ──────────────────────────────
   const S2 = Math.SQRT1_2; // 1/√2
@@ -24,6 +83,9 @@ var QSim = (function () {
     z:  [[1, 0, 0, 0],    [0, 0, -1, 0]],          // [[1,0],[0,-1]]
     s:  [[1, 0, 0, 0],    [0, 0, 0, 1]],           // [[1,0],[0,i]]
     t:  [[1, 0, 0, 0],    [0, 0, S2, S2]],         // [[1,0],[0,e^(iπ/4)]]
+    sdg: [[1, 0, 0, 0],   [0, 0, 0, -1]],          // [[1,0],[0,-i]]
+    tdg: [[1, 0, 0, 0],   [0, 0, S2, -S2]],        // [[1,0],[0,e^(-iπ/4)]]
+    sx: [[0.5, 0.5, 0.5, -0.5], [0.5, -0.5, 0.5, 0.5]], // ½[[1+i,1-i],[1-i,1+i]]
   };
 
   // Rotation matrices built on the fly
@@ -43,95 +105,706 @@ var QSim = (function () {
     return [[c, -s, 0, 0], [0, 0, c, s]];
   }
 
-  // ── apply single-qubit gate ────────────────────────────────────
+  function phaseMatrix(lambda) {
+    // [[1,0],[0,e^{iλ}]]
+    return [[1, 0, 0, 0], [0, 0, Math.cos(lambda), Math.sin(lambda)]];
+  }
+  function u3Matrix(theta, phi, lambda) {
+    const c = Math.cos(theta / 2), s = Math.sin(theta / 2);
+    // [[cos, -e^{iλ}·sin],[e^{iφ}·sin, e^{i(φ+λ)}·cos]]
+    return [
+      [c, 0, -Math.cos(lambda) * s, -Math.sin(lambda) * s],
+      [Math.cos(phi) * s, Math.sin(phi) * s, Math.cos(phi + lambda) * c, Math.sin(phi + lambda) * c],
+    ];
+  }
+
+  // Controlled gates → the single-qubit gate applied to their target.
+  const CONTROLLED = {
+    cx: "x", cy: "y", cz: "z", ch: "h",
+    crx: "rx", cry: "ry", crz: "rz", cp: "p",
+    ccx: "x",
+  };
+
+  // Target matrix of a program op (for controlled gates, the gate applied
+  // when every control is 1), or null if the gate is unknown.
+  function gateMatrix(g, op) {
+    const base = CONTROLLED[g] || g;
+    if (base in GATES) return GATES[base];
+    if (base === "rx") return rxMatrix(op.angle);
+    if (base === "ry") return ryMatrix(op.angle);
+    if (base === "rz") return rzMatrix(op.angle);
+    if (base === "p") return phaseMatrix(op.angle);
+    if (base === "u3") return u3Matrix(op.theta, op.phi, op.lambda);
+    return null;
+  }
+
+  // ── custom gates ──────────────────────────────────────────────
+  // Registry of user-defined gates by lowercase name → { name, qubits, mat }.
+  // mat is row-major and interleaved like GATES: 2×2 for one qubit, 4×4
+  // for two. A two-qubit op {gate, target, target2} indexes the matrix
+  // with target as the low bit, matching the statevector and `unitary`.
+  const customGates = new Map();
+  const BUILTIN_GATES = new Set([
+    ...Object.keys(GATES), ...Object.keys(CONTROLLED),
+    "rx", "ry", "rz", "p", "u3", "swap", "measure",
+  ]);
+  const UNITARITY_TOLERANCE = 1e-4; // lets typed decimals like 0.7071 through
+
+  // matrix: 2×2 or 4×4 rows of {re, im} or real numbers (as `unitary`
+  // returns them). Replaces any custom gate of the same name.
+  function defineGate(name, matrix) {
+    if (typeof name !== "string" || !/^[a-z][a-z0-9_]*$/i.test(name)) {
+      throw new Error("gate name must start with a letter and use only letters, digits and _");
+    }
+    const key = name.toLowerCase();
+    if (BUILTIN_GATES.has(key)) throw new Error("'" + name + "' is a built-in gate");
+    const dim = Array.isArray(matrix) ? matrix.length : 0;
+    if ((dim !== 2 && dim !== 4) || !matrix.every(row => Array.isArray(row) && row.length === dim)) {
+      throw new Error("gate matrix must be 2×2 or 4×4");
+    }
+    const mat = matrix.map((row, r) => {
+      const out = [];
+      row.forEach((a, c) => {
+        const re = typeof a === "number" ? a : a.re || 0;
+        const im = typeof a === "number" ? 0 : a.im || 0;
+        if (!isFinite(re) || !isFinite(im)) throw new Error("matrix entry (" + r + ", " + c + ") is not a finite number");
+        out.push(re, im);
+      });
+      return out;
+    });
+    const err = unitarityError(mat);
+    if (err > UNITARITY_TOLERANCE) {
+      throw new Error("matrix is not unitary (largest entry of U†U − I is " + round8(err) + ")");
+    }
+    const qubits = dim === 2 ? 1 : 2;
+    customGates.set(key, { name, qubits, mat });
+    return { name, qubits };
+  }
+
+  // max |(U†U − I)_ab| for an interleaved square matrix
+  function unitarityError(mat) {
+    const dim = mat.length;
+    let err = 0;
+    for (let a = 0; a < dim; a++) {
+      for (let b = 0; b < dim; b++) {
+        let re = 0, im = 0;
+        for (let r = 0; r < dim; r++) {
+          const xr = mat[r][2 * a], xi = -mat[r][2 * a + 1]; // conj(U[r][a])
+          const yr = mat[r][2 * b], yi = mat[r][2 * b + 1];
+          re += xr * yr - xi * yi;
+          im += xr * yi + xi * yr;
+        }
+        err = Math.max(err, Math.hypot(re - (a === b ? 1 : 0), im));
+      }
+    }
+    return err;
+  }
+
+  function removeGate(name) {
+    return customGates.delete(String(name).toLowerCase());
+  }
+
+  // Definitions as plain data, e.g. to send to a worker or save.
+  function listGates() {
+    return Array.from(customGates.values(), ({ name, mat }) => ({
+      name,
+      matrix: mat.map(row => row.filter((_, k) => k % 2 === 0).map((re, c) => ({ re, im: row[2 * c + 1] }))),
+    }));
+  }
+
+  // Replaces the whole registry with listGates()-style definitions.
+  function setGates(defs) {
+    customGates.clear();
+    for (const d of defs || []) defineGate(d.name, d.matrix);
+  }
+
+  function gateControls(g, op) {
+    if (g === "ccx") return [op.control1, op.control2];
+    if (g in CONTROLLED) return [op.control];
+    return [];
+  }
+
+  // ── apply a (multi-)controlled single-qubit gate ──────────────
   // mat = [[r00,i00,r01,i01],[r10,i10,r11,i11]]
-  function applySingle(state, n, target, mat) {
+  // Walks the 2^(n-1) amplitude pairs block by block (pairs differ only
+  // in the target bit) and updates those whose index has every control
+  // bit set. The complex products are inlined so large states don't
+  // allocate per amplitude.
+  function applyControlled(state, n, controls, target, mat) {
     const dim = 1 << n;
     const step = 1 << target;
-    for (let i = 0; i < dim; i++) {
-      if (i & step) continue; // process pairs once
-      const j = i | step;
-      const ar = state[2 * i], ai = state[2 * i + 1];
-      const br = state[2 * j], bi = state[2 * j + 1];
-
-      const [nr0, ni0] = cmul(mat[0][0], mat[0][1], ar, ai);
-      const [nr1, ni1] = cmul(mat[0][2], mat[0][3], br, bi);
-      const [nr2, ni2] = cmul(mat[1][0], mat[1][1], ar, ai);
-      const [nr3, ni3] = cmul(mat[1][2], mat[1][3], br, bi);
+    let cMask = 0;
+    for (const c of controls) cMask |= 1 << c;
+    const m00r = mat[0][0], m00i = mat[0][1], m01r = mat[0][2], m01i = mat[0][3];
+    const m10r = mat[1][0], m10i = mat[1][1], m11r = mat[1][2], m11i = mat[1][3];
+    for (let base = 0; base < dim; base += step << 1) {
+      for (let i = base; i < base + step; i++) {
+        if ((i & cMask) !== cMask) continue;
+        const j = i + step;
+        const ar = state[2 * i], ai = state[2 * i + 1];
+        const br = state[2 * j], bi = state[2 * j + 1];
 
-      state[2 * i]     = nr0 + nr1;
-      state[2 * i + 1] = ni0 + ni1;
-      state[2 * j]     = nr2 + nr3;
-      state[2 * j + 1] = ni2 + ni3;
+        state[2 * i]     = m00r * ar - m00i * ai + m01r * br - m01i * bi;
+        state[2 * i + 1] = m00r * ai + m00i * ar + m01r * bi + m01i * br;
+        state[2 * j]     = m10r * ar - m10i * ai + m11r * br - m11i * bi;
+        state[2 * j + 1] = m10r * ai + m10i * ar + m11r * bi + m11i * br;
+      }
     }
   }
 
-  // ── controlled-NOT (CX) ────────────────────────────────────────
-  function applyCX(state, n, control, target) {
+  function applySingle(state, n, target, mat) {
+    applyControlled(state, n, [], target, mat);
+  }
+
+  // ── apply a two-qubit gate ────────────────────────────────────
+  // mat is 4×4 interleaved, indexed by bit(q0) + 2·bit(q1).
+  function applyTwo(state, n, q0, q1, mat) {
     const dim = 1 << n;
-    const cBit = 1 << control;
-    const tBit = 1 << target;
+    const b0 = 1 << q0, b1 = 1 << q1;
+    const idx = [0, b0, b1, b0 | b1];
+    const re = new Float64Array(4), im = new Float64Array(4);
     for (let i = 0; i < dim; i++) {
-      if (!(i & cBit)) continue;   // control must be 1
-      if (i & tBit) continue;      // process pairs once (target=0)
-      const j = i | tBit;
-      // swap amplitudes at i and j
-      const tr = state[2 * i], ti = state[2 * i + 1];
-      state[2 * i]     = state[2 * j];
-      state[2 * i + 1] = state[2 * j + 1];
-      state[2 * j]     = tr;
-      state[2 * j + 1] = ti;
+      if (i & (b0 | b1)) continue;
+      for (let k = 0; k < 4; k++) { re[k] = state[2 * (i + idx[k])]; im[k] = state[2 * (i + idx[k]) + 1]; }
+      for (let r = 0; r < 4; r++) {
+        const row = mat[r];
+        let sr = 0, si = 0;
+        for (let c = 0; c < 4; c++) {
+          sr += row[2 * c] * re[c] - row[2 * c + 1] * im[c];
+          si += row[2 * c] * im[c] + row[2 * c + 1] * re[c];
+        }
+        state[2 * (i + idx[r])] = sr;
+        state[2 * (i + idx[r]) + 1] = si;
+      }
+    }
+  }
+
+  // One gate op on qubits shifted by `offset` (n counts every qubit of
+  // `state`); conj applies conj(U) instead, for density-matrix columns.
+  // SWAP is three CXs.
+  function applyUnitaryOp(state, n, op, offset, conj) {
+    const g = op.gate.toLowerCase();
+    if (g === "swap") {
+      const a = op.target + offset, b = op.target2 + offset;
+      applyControlled(state, n, [a], b, GATES.x);
+      applyControlled(state, n, [b], a, GATES.x);
+      applyControlled(state, n, [a], b, GATES.x);
+      return;
+    }
+    const custom = customGates.get(g);
+    if (custom) {
+      const mat = conj ? conjMatrix(custom.mat) : custom.mat;
+      if (custom.qubits === 1) { applySingle(state, n, op.target + offset, mat); return; }
+      if (op.target2 == null || op.target2 === op.target) {
+        throw new Error("two-qubit gate '" + custom.name + "' needs distinct target and target2");
+      }
+      applyTwo(state, n, op.target + offset, op.target2 + offset, mat);
+      return;
     }
+    const mat = gateMatrix(g, op);
+    if (!mat) throw new Error("Unsupported gate: " + g);
+    const controls = gateControls(g, op).map(c => c + offset);
+    applyControlled(state, n, controls, op.target + offset, conj ? conjMatrix(mat) : mat);
   }
 
-  // ── Toffoli (CCX) ─────────────────────────────────────────────
-  function applyCCX(state, n, c1, c2, target) {
+  // ── projective measurement ────────────────────────────────────
+  // Collapses `state` in place and returns the observed bit (0 or 1).
+  function measureQubit(state, n, target, rng) {
     const dim = 1 << n;
-    const c1Bit = 1 << c1;
-    const c2Bit = 1 << c2;
-    const tBit  = 1 << target;
+    const bit = 1 << target;
+    let p1 = 0;
     for (let i = 0; i < dim; i++) {
-      if (!(i & c1Bit) || !(i & c2Bit)) continue;
-      if (i & tBit) continue;
-      const j = i | tBit;
-      const tr = state[2 * i], ti = state[2 * i + 1];
-      state[2 * i]     = state[2 * j];
-      state[2 * i + 1] = state[2 * j + 1];
-      state[2 * j]     = tr;
-      state[2 * j + 1] = ti;
+      if (i & bit) p1 += state[2 * i] * state[2 * i] + state[2 * i + 1] * state[2 * i + 1];
     }
+    const outcome = rng() < p1 ? 1 : 0;
+    const norm = 1 / Math.sqrt(outcome ? p1 : 1 - p1);
+    for (let i = 0; i < dim; i++) {
+      if (((i & bit) ? 1 : 0) === outcome) {
+        state[2 * i]     *= norm;
+        state[2 * i + 1] *= norm;
+      } else {
+        state[2 * i]     = 0;
+        state[2 * i + 1] = 0;
+      }
+    }
+    return outcome;
   }
 
-  // ── main simulate ─────────────────────────────────────────────
-  function simulate(qubitCount, program) {
-    if (qubitCount < 1 || qubitCount > 4) throw new Error("qubit_count must be 1–4");
+  // ── seedable PRNG (mulberry32) ────────────────────────────────
+  function makeRng(seed) {
+    let a = (seed == null ? Math.floor(Math.random() * 0x100000000) : seed) >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
 
-    const dim = 1 << qubitCount;
+  function isMeasure(op) { return op.gate.toLowerCase() === "measure"; }
+
+  function opQubits(op) {
+    return [op.target, op.target2, op.control, op.control1, op.control2].filter(q => q != null);
+  }
+
+  function cbitOf(op) { return op.cbit != null ? op.cbit : op.target; }
+
+  // ── apply one program op ──────────────────────────────────────
+  // With `shot` = { rng, clbits } measure ops collapse the state and write
+  // their outcome into shot.clbits; without it they are skipped.
+  function applyOp(state, qubitCount, op, shot) {
+    const g = op.gate.toLowerCase();
+
+    if (g === "measure") {
+      if (shot) shot.clbits[cbitOf(op)] = readout(measureQubit(state, qubitCount, op.target, shot.rng), op.target, shot);
+      return;
+    }
+    applyUnitaryOp(state, qubitCount, op, 0, false);
+  }
+
+  // ── evolve a state through a program ──────────────────────────
+  // onProgress(done, total) is called after every op.
+  function evolve(state, qubitCount, program, shot, onProgress) {
+    for (let k = 0; k < program.length; k++) {
+      applyOp(state, qubitCount, program[k], shot);
+      if (onProgress) onProgress(k + 1, program.length);
+    }
+  }
+
+  // ── density-matrix backend ────────────────────────────────────
+  // ρ is stored row-major as one interleaved 2n-qubit vector: entry (r, c)
+  // sits at index r·2^n + c, so row bits lie above column bits. U ρ U† is
+  // then U on the row qubits (shifted by n) and conj(U) on the column
+  // qubits, which lets the statevector kernels do all the work.
+  function conjMatrix(mat) {
+    return mat.map(row => row.map((v, k) => (k % 2 ? -v : v)));
+  }
+
+  // |ψ⟩⟨ψ| for an initial statevector ψ
+  function initialDensity(n, psi) {
+    const dim = 1 << n;
+    const rho = new Float64Array(dim * dim * 2);
+    for (let r = 0; r < dim; r++) {
+      const ar = psi[2 * r], ai = psi[2 * r + 1];
+      if (ar === 0 && ai === 0) continue;
+      for (let c = 0; c < dim; c++) {
+        const br = psi[2 * c], bi = -psi[2 * c + 1];
+        rho[2 * (r * dim + c)] = ar * br - ai * bi;
+        rho[2 * (r * dim + c) + 1] = ar * bi + ai * br;
+      }
+    }
+    return rho;
+  }
+
+  // ρ → Σ K ρ K† on qubit q
+  function applyKraus(rho, n, q, kraus) {
+    const acc = new Float64Array(rho.length);
+    for (const K of kraus) {
+      const term = rho.slice();
+      applySingle(term, 2 * n, q + n, K);
+      applySingle(term, 2 * n, q, conjMatrix(K));
+      for (let i = 0; i < acc.length; i++) acc[i] += term[i];
+    }
+    rho.set(acc);
+  }
+
+  // Selective projective measurement: collapses ρ and returns the bit.
+  function densityMeasure(rho, n, target, rng) {
+    const dim = 1 << n;
+    const bit = 1 << target;
+    let p1 = 0;
+    for (let i = 0; i < dim; i++) if (i & bit) p1 += rho[2 * (i * dim + i)];
+    const outcome = rng() < p1 ? 1 : 0;
+    const scale = 1 / (outcome ? p1 : 1 - p1);
+    for (let r = 0; r < dim; r++) {
+      const rowKeeps = ((r & bit) ? 1 : 0) === outcome;
+      for (let c = 0; c < dim; c++) {
+        const k = 2 * (r * dim + c);
+        if (rowKeeps && ((c & bit) ? 1 : 0) === outcome) {
+          rho[k] *= scale;
+          rho[k + 1] *= scale;
+        } else {
+          rho[k] = 0;
+          rho[k + 1] = 0;
+        }
+      }
+    }
+    return outcome;
+  }
+
+  function densityApplyOp(rho, n, op, noise, shot) {
+    const g = op.gate.toLowerCase();
+
+    if (g === "measure") {
+      if (shot) shot.clbits[cbitOf(op)] = readout(densityMeasure(rho, n, op.target, shot.rng), op.target, shot);
+      return;
+    }
+    applyUnitaryOp(rho, 2 * n, op, n, false);
+    applyUnitaryOp(rho, 2 * n, op, 0, true);
+    if (noise) {
+      for (const q of opQubits(op)) {
+        for (const ch of channelsFor(noise, g, q)) applyKraus(rho, n, q, ch.kraus);
+      }
+    }
+  }
+
+  function evolveDensity(rho, n, program, noise, shot, onProgress) {
+    for (let k = 0; k < program.length; k++) {
+      densityApplyOp(rho, n, program[k], noise, shot);
+      if (onProgress) onProgress(k + 1, program.length);
+    }
+  }
+
+  // ── noise models ──────────────────────────────────────────────
+  function channelsFor(noise, g, q) {
+    const gates = noise.gates || {};
+    const qubits = noise.qubits || {};
+    return [].concat(gates["*"] || [], gates[g] || [], qubits[q] || []);
+  }
+
+  // Applies the readout error for qubit q (if any) to a measured bit.
+  function readout(bit, q, shot) {
+    const spec = shot.noise && shot.noise.readout;
+    const err = Array.isArray(spec) ? spec[q] : spec;
+    if (!err) return bit;
+    const flip = bit ? (err.p01 || 0) : (err.p10 || 0);
+    return shot.rng() < flip ? 1 - bit : bit;
+  }
+
+  function scaled(mat, k) { return mat.map(row => row.map(v => v * k)); }
+
+  function checkProbability(p, label) {
+    if (!(p >= 0 && p <= 1)) throw new Error(label + " must be between 0 and 1");
+  }
+
+  const IDENTITY = [[1, 0, 0, 0], [0, 0, 1, 0]];
+
+  // Channel constructors → { name, kraus: [2×2 matrices] }
+  const noise = {
+    depolarizing(p) {
+      checkProbability(p, "depolarizing p");
+      const a = Math.sqrt(1 - 3 * p / 4), b = Math.sqrt(p / 4);
+      return { name: "depolarizing", kraus: [scaled(IDENTITY, a), scaled(GATES.x, b), scaled(GATES.y, b), scaled(GATES.z, b)] };
+    },
+    amplitudeDamping(gamma) {
+      checkProbability(gamma, "amplitude damping γ");
+      return { name: "amplitudeDamping", kraus: [
+        [[1, 0, 0, 0], [0, 0, Math.sqrt(1 - gamma), 0]],
+        [[0, 0, Math.sqrt(gamma), 0], [0, 0, 0, 0]],
+      ] };
+    },
+    phaseDamping(lambda) {
+      checkProbability(lambda, "phase damping λ");
+      return { name: "phaseDamping", kraus: [
+        [[1, 0, 0, 0], [0, 0, Math.sqrt(1 - lambda), 0]],
+        [[0, 0, 0, 0], [0, 0, Math.sqrt(lambda), 0]],
+      ] };
+    },
+    bitFlip(p) {
+      checkProbability(p, "bit flip p");
+      return { name: "bitFlip", kraus: [scaled(IDENTITY, Math.sqrt(1 - p)), scaled(GATES.x, Math.sqrt(p))] };
+    },
+    phaseFlip(p) {
+      checkProbability(p, "phase flip p");
+      return { name: "phaseFlip", kraus: [scaled(IDENTITY, Math.sqrt(1 - p)), scaled(GATES.z, Math.sqrt(p))] };
+    },
+    // Custom channel from 2×2 Kraus matrices; rejects sets with Σ K†K ≠ I.
+    kraus(mats, name) {
+      const sum = [0, 0, 0, 0, 0, 0, 0, 0]; // (K†K) entries a,b ∈ {0,1} as re/im pairs
+      for (const K of mats) {
+        for (let a = 0; a < 2; a++) {
+          for (let b = 0; b < 2; b++) {
+            for (let r = 0; r < 2; r++) {
+              const xr = K[r][2 * a], xi = -K[r][2 * a + 1]; // conj(K[r][a])
+              const yr = K[r][2 * b], yi = K[r][2 * b + 1];
+              sum[2 * (2 * a + b)]     += xr * yr - xi * yi;
+              sum[2 * (2 * a + b) + 1] += xr * yi + xi * yr;
+            }
+          }
+        }
+      }
+      const expected = [1, 0, 0, 0, 0, 0, 1, 0];
+      if (sum.some((v, i) => Math.abs(v - expected[i]) > 1e-9)) {
+        throw new Error("Kraus operators must satisfy Σ K†K = I");
+      }
+      return { name: name || "kraus", kraus: mats };
+    },
+  };
+
+  function checkQubitCount(qubitCount) {
+    if (!Number.isInteger(qubitCount) || qubitCount < 1 || qubitCount > MAX_QUBITS) {
+      throw new Error("qubit_count must be 1–" + MAX_QUBITS);
+    }
+  }
+
+  // Single-qubit input states [re0, im0, re1, im1] by wire label.
+  const WIRE_STATES = {
+    "0":  [1, 0, 0, 0],
+    "1":  [0, 0, 1, 0],
+    "+":  [S2, 0, S2, 0],
+    "-":  [S2, 0, -S2, 0],
+    "i":  [S2, 0, 0, S2],
+    "-i": [S2, 0, 0, -S2],
+  };
+
+  // initial: omitted (|0…0⟩), one WIRE_STATES label per qubit, or a
+  // normalized vector of 2^n amplitudes ({re, im} objects or reals).
+  function initialState(qubitCount, initial) {
     // state: interleaved [re0, im0, re1, im1, …]
+    const dim = 1 << qubitCount;
     const state = new Float64Array(dim * 2);
-    state[0] = 1; // |00…0⟩
+    if (!initial) {
+      state[0] = 1; // |00…0⟩
+      return state;
+    }
+    if (!Array.isArray(initial)) throw new Error("initial state must be an array");
 
-    for (const op of program) {
-      const g = op.gate.toLowerCase();
-
-      if (g in GATES) {
-        applySingle(state, qubitCount, op.target, GATES[g]);
-      } else if (g === "rx") {
-        applySingle(state, qubitCount, op.target, rxMatrix(op.angle));
-      } else if (g === "ry") {
-        applySingle(state, qubitCount, op.target, ryMatrix(op.angle));
-      } else if (g === "rz") {
-        applySingle(state, qubitCount, op.target, rzMatrix(op.angle));
-      } else if (g === "cx") {
-        applyCX(state, qubitCount, op.control, op.target);
-      } else if (g === "ccx") {
-        applyCCX(state, qubitCount, op.control1, op.control2, op.target);
-      } else {
-        throw new Error("Unsupported gate: " + g);
+    if (initial.length === qubitCount && initial.every(l => typeof l === "string")) {
+      const wires = initial.map((label, q) => {
+        const amps = WIRE_STATES[label];
+        if (!amps) throw new Error("unknown initial state '" + label + "' on qubit " + q);
+        return amps;
+      });
+      for (let i = 0; i < dim; i++) {
+        let re = 1, im = 0;
+        for (let q = 0; q < qubitCount && (re !== 0 || im !== 0); q++) {
+          const b = (i >> q) & 1;
+          const wr = wires[q][2 * b], wi = wires[q][2 * b + 1];
+          const t = re * wr - im * wi;
+          im = re * wi + im * wr;
+          re = t;
+        }
+        state[2 * i] = re;
+        state[2 * i + 1] = im;
+      }
+      return state;
+    }
+
+    if (initial.length !== dim) {
+      throw new Error("initial state needs " + qubitCount + " wire labels or " + dim + " amplitudes");
+    }
+    let norm = 0;
+    initial.forEach((a, i) => {
+      const re = typeof a === "number" ? a : a.re || 0;
+      const im = typeof a === "number" ? 0 : a.im || 0;
+      if (!isFinite(re) || !isFinite(im)) throw new Error("initial amplitude " + i + " is not a finite number");
+      state[2 * i] = re;
+      state[2 * i + 1] = im;
+      norm += re * re + im * im;
+    });
+    if (Math.abs(norm - 1) > 1e-6) {
+      throw new Error("initial amplitudes must be normalized (Σ|a|² = " + round8(norm) + ")");
+    }
+    return state;
+  }
+
+  function checkDensityQubitCount(qubitCount) {
+    checkQubitCount(qubitCount);
+    if (qubitCount > DENSITY_MAX_QUBITS) {
+      throw new Error("density-matrix mode supports up to " + DENSITY_MAX_QUBITS + " qubits");
+    }
+  }
+
+  // Readout errors only touch sampled bits, so they need no density matrix.
+  function useDensity(opts) {
+    const noise = opts.noise;
+    const hasChannels = (map) => !!map && Object.keys(map).some(k => map[k] && map[k].length > 0);
+    return opts.method === "density" || (!!noise && (hasChannels(noise.gates) || hasChannels(noise.qubits)));
+  }
+
+  // ── reduced single-qubit states ───────────────────────────────
+  // ρ_q = Tr_others(ρ) for every qubit q, as a Bloch vector
+  // r = (Tr ρ_q X, Tr ρ_q Y, Tr ρ_q Z). |r| = 1 only when q is pure;
+  // mixed or entangled qubits give shorter vectors.
+  function blochVector(p00, p11, re01, im01) {
+    return { x: round8(2 * re01), y: round8(-2 * im01), z: round8(p00 - p11) };
+  }
+
+  function blochFromState(state, n) {
+    const dim = 1 << n;
+    const out = [];
+    for (let q = 0; q < n; q++) {
+      const bit = 1 << q;
+      let p00 = 0, p11 = 0, re01 = 0, im01 = 0;
+      for (let i = 0; i < dim; i++) {
+        if (i & bit) continue;
+        const ar = state[2 * i], ai = state[2 * i + 1];
+        const br = state[2 * (i | bit)], bi = state[2 * (i | bit) + 1];
+        p00 += ar * ar + ai * ai;
+        p11 += br * br + bi * bi;
+        re01 += ar * br + ai * bi; // a · conj(b)
+        im01 += ai * br - ar * bi;
+      }
+      out.push(blochVector(p00, p11, re01, im01));
+    }
+    return out;
+  }
+
+  function blochFromDensity(rho, n) {
+    const dim = 1 << n;
+    const out = [];
+    for (let q = 0; q < n; q++) {
+      const bit = 1 << q;
+      let p00 = 0, p11 = 0, re01 = 0, im01 = 0;
+      for (let i = 0; i < dim; i++) {
+        if (i & bit) continue;
+        const j = i | bit;
+        p00 += rho[2 * (i * dim + i)];
+        p11 += rho[2 * (j * dim + j)];
+        re01 += rho[2 * (i * dim + j)];
+        im01 += rho[2 * (i * dim + j) + 1];
+      }
+      out.push(blochVector(p00, p11, re01, im01));
+    }
+    return out;
+  }
+
+  // Bloch vectors from a result's [{re, im}] statevector (e.g. one
+  // returned by the server, which doesn't include `bloch`).
+  function blochVectors(statevector) {
+    const n = Math.log2(statevector.length);
+    if (!Number.isInteger(n)) throw new Error("statevector length must be a power of two");
+    const state = new Float64Array(statevector.length * 2);
+    statevector.forEach((a, i) => { state[2 * i] = a.re; state[2 * i + 1] = a.im; });
+    return blochFromState(state, n);
+  }
+
+  // ── Pauli observables ─────────────────────────────────────────
+  // "0.5*ZZ - 0.3*XI + 1": a sum of coefficients times Pauli strings, one
+  // letter per qubit with qubit 0 rightmost (like count keys); a bare
+  // number is a multiple of the identity.
+  const PAULI_TERM_RE = /^([+-]?)(?:(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)(\*?))?([IXYZ]*)/i;
+
+  function parsePauliSum(text, qubitCount) {
+    const src = String(text).replace(/\s+/g, "");
+    if (!src) throw new Error("observable is empty");
+    const terms = [];
+    let i = 0;
+    while (i < src.length) {
+      const m = PAULI_TERM_RE.exec(src.slice(i));
+      const [whole, sign, num, star, letters] = m;
+      if (!whole || (i > 0 && !sign) || (!num && !letters) || (star && !letters)) {
+        throw new Error("can't read the observable at '" + src.slice(i) + "'");
+      }
+      const pauli = letters ? letters.toUpperCase() : "I".repeat(qubitCount);
+      if (pauli.length !== qubitCount) {
+        throw new Error("Pauli string '" + pauli + "' needs one letter per qubit (" + qubitCount + ")");
+      }
+      terms.push({ coef: (sign === "-" ? -1 : 1) * (num ? parseFloat(num) : 1), pauli });
+      i += whole.length;
+    }
+    return terms;
+  }
+
+  // P|i⟩ = i^ys·(−1)^popcount(i & phaseMask)·|i ⊕ flip⟩, with flip the
+  // X/Y qubits, phaseMask the Z/Y qubits and ys the number of Ys.
+  function pauliMasks(pauli, n) {
+    let flip = 0, phaseMask = 0, ys = 0;
+    for (let q = 0; q < n; q++) {
+      const p = pauli[n - 1 - q];
+      if (p === "X" || p === "Y") flip |= 1 << q;
+      if (p === "Z" || p === "Y") phaseMask |= 1 << q;
+      if (p === "Y") ys++;
+    }
+    return { flip, phaseMask, ys };
+  }
+
+  // Re(i^ys · (re + i·im)); the result is real for a Hermitian term
+  function timesIPower(re, im, ys) { return [re, -im, -re, im][ys % 4]; }
+
+  // Σ coef·⟨ψ|P|ψ⟩, one pass over the amplitudes per term.
+  function expectationOf(state, n, terms) {
+    const dim = 1 << n;
+    let total = 0;
+    for (const { coef, pauli } of terms) {
+      const { flip, phaseMask, ys } = pauliMasks(pauli, n);
+      let re = 0, im = 0; // Σ conj(ψ_{i⊕flip}) · sign(i) · ψ_i
+      for (let i = 0; i < dim; i++) {
+        const ar = state[2 * i], ai = state[2 * i + 1];
+        if (ar === 0 && ai === 0) continue;
+        const j = i ^ flip;
+        const br = state[2 * j], bi = -state[2 * j + 1];
+        const sign = popcount(i & phaseMask) & 1 ? -1 : 1;
+        re += sign * (br * ar - bi * ai);
+        im += sign * (br * ai + bi * ar);
       }
+      total += coef * timesIPower(re, im, ys);
     }
+    return total;
+  }
+
+  // Σ coef·Tr(ρP) = Σ coef · Σ_i ρ[i][i⊕flip] · i^ys · sign(i)
+  function densityExpectationOf(rho, n, terms) {
+    const dim = 1 << n;
+    let total = 0;
+    for (const { coef, pauli } of terms) {
+      const { flip, phaseMask, ys } = pauliMasks(pauli, n);
+      let re = 0, im = 0;
+      for (let i = 0; i < dim; i++) {
+        const k = 2 * (i * dim + (i ^ flip));
+        const sign = popcount(i & phaseMask) & 1 ? -1 : 1;
+        re += sign * rho[k];
+        im += sign * rho[k + 1];
+      }
+      total += coef * timesIPower(re, im, ys);
+    }
+    return total;
+  }
+
+  function popcount(v) {
+    let c = 0;
+    for (; v; v &= v - 1) c++;
+    return c;
+  }
+
+  // ⟨H⟩ for a result's [{re, im}] statevector; observable is a Pauli-sum
+  // string or parsePauliSum terms.
+  function pauliExpectation(statevector, observable) {
+    const n = Math.log2(statevector.length);
+    if (!Number.isInteger(n)) throw new Error("statevector length must be a power of two");
+    const terms = typeof observable === "string" ? parsePauliSum(observable, n) : observable;
+    const state = new Float64Array(statevector.length * 2);
+    statevector.forEach((a, i) => { state[2 * i] = a.re; state[2 * i + 1] = a.im; });
+    return round8(expectationOf(state, n, terms));
+  }
+
+  // ⟨H⟩ after `program`, skipping measure ops. With { noise } (or
+  // method "density") this is Tr(ρH) on the density backend. An array of
+  // observables gives an array of values from a single simulation.
+  function expectation(qubitCount, program, observable, options) {
+    const opts = options || {};
+    const list = Array.isArray(observable) ? observable : [observable];
+    const termLists = list.map(o => parsePauliSum(o, qubitCount));
+    const unitaryOps = program.filter(op => !isMeasure(op));
+    let values;
+    if (useDensity(opts)) {
+      checkDensityQubitCount(qubitCount);
+      const rho = initialDensity(qubitCount, initialState(qubitCount, opts.initial));
+      evolveDensity(rho, qubitCount, unitaryOps, opts.noise || null, null);
+      values = termLists.map(terms => round8(densityExpectationOf(rho, qubitCount, terms)));
+    } else {
+      checkQubitCount(qubitCount);
+      const state = initialState(qubitCount, opts.initial);
+      evolve(state, qubitCount, unitaryOps, null);
+      values = termLists.map(terms => round8(expectationOf(state, qubitCount, terms)));
+    }
+    return Array.isArray(observable) ? values : values[0];
+  }
 
-    // extract results
+  // ── main simulate ─────────────────────────────────────────────
+  function simulate(qubitCount, program, options) {
+    const opts = options || {};
+    if (useDensity(opts)) return simulateDensity(qubitCount, program, opts);
+    checkQubitCount(qubitCount);
+
+    const state = initialState(qubitCount, opts.initial);
+    evolve(state, qubitCount, program, null, opts.onProgress);
+    return statevectorResult(state, qubitCount);
+  }
+
+  function statevectorResult(state, qubitCount) {
+    const dim = 1 << qubitCount;
     const statevector = [];
     const probabilities = [];
     const phases = [];
@@ -145,11 +818,226 @@ var QSim = (function () {
       phases.push(round8(phase));
     }
 
-    return { qubit_count: qubitCount, statevector, probabilities, phases };
+    const bloch = blochFromState(state, qubitCount);
+    return { qubit_count: qubitCount, statevector, probabilities, phases, bloch };
+  }
+
+  // Measure ops are skipped here too, so the result is comparable with
+  // the ideal pre-measurement statevector.
+  function simulateDensity(qubitCount, program, opts) {
+    checkDensityQubitCount(qubitCount);
+    const n = qubitCount;
+    const unitaryOps = program.filter(op => !isMeasure(op));
+    const ideal = initialState(n, opts.initial);
+    const rho = initialDensity(n, ideal);
+    evolveDensity(rho, n, unitaryOps, opts.noise || null, null, opts.onProgress);
+    evolve(ideal, n, unitaryOps, null);
+    return densityResult(rho, ideal, n);
+  }
+
+  // ρ plus the noiseless ψ it is compared against → result object.
+  function densityResult(rho, ideal, n) {
+    const dim = 1 << n;
+    const probabilities = [];
+    let purity = 0, fidelity = 0;
+    for (let r = 0; r < dim; r++) {
+      probabilities.push(round8(rho[2 * (r * dim + r)]));
+      const pr = ideal[2 * r], pi = -ideal[2 * r + 1]; // conj(ψ_r)
+      for (let c = 0; c < dim; c++) {
+        const k = 2 * (r * dim + c);
+        const re = rho[k], im = rho[k + 1];
+        purity += re * re + im * im;
+        // conj(ψ_r) · ρ_rc · ψ_c, real part
+        const tr = pr * re - pi * im, ti = pr * im + pi * re;
+        fidelity += tr * ideal[2 * c] - ti * ideal[2 * c + 1];
+      }
+    }
+
+    return {
+      qubit_count: n, method: "density", probabilities,
+      purity: round8(purity), fidelity: round8(fidelity), bloch: blochFromDensity(rho, n),
+    };
+  }
+
+  // ── circuit unitary ───────────────────────────────────────────
+  // U is stored like ρ (entry (r, c) at r·2^n + c), so applying a gate to
+  // the row qubits of the identity builds U column by column. Measure ops
+  // are skipped, as in `simulate`. With upToGlobalPhase the first entry
+  // with |u| > 1e-9 (row-major) is rotated onto the positive real axis.
+  function unitary(qubitCount, program, options) {
+    const opts = options || {};
+    checkQubitCount(qubitCount);
+    if (qubitCount > UNITARY_MAX_QUBITS) {
+      throw new Error("unitary supports up to " + UNITARY_MAX_QUBITS + " qubits");
+    }
+    const n = qubitCount;
+    const dim = 1 << n;
+    const u = new Float64Array(dim * dim * 2);
+    for (let i = 0; i < dim; i++) u[2 * (i * dim + i)] = 1;
+    for (const op of program) {
+      if (!isMeasure(op)) applyUnitaryOp(u, 2 * n, op, n, false);
+    }
+
+    let phase = 0;
+    if (opts.upToGlobalPhase) {
+      for (let k = 0; k < dim * dim; k++) {
+        if (u[2 * k] * u[2 * k] + u[2 * k + 1] * u[2 * k + 1] > 1e-18) { phase = Math.atan2(u[2 * k + 1], u[2 * k]); break; }
+      }
+    }
+    const cr = Math.cos(-phase), ci = Math.sin(-phase);
+    const matrix = [];
+    for (let r = 0; r < dim; r++) {
+      const row = [];
+      for (let c = 0; c < dim; c++) {
+        const k = 2 * (r * dim + c);
+        row.push({ re: round8(u[k] * cr - u[k + 1] * ci), im: round8(u[k] * ci + u[k + 1] * cr) });
+      }
+      matrix.push(row);
+    }
+    return { qubit_count: n, matrix, global_phase: round8(phase) };
+  }
+
+  // ── step-by-step simulation ───────────────────────────────────
+  // steps is a list of programs (e.g. one per composer column) run back
+  // to back. Returns a snapshot — a `simulate` result plus `step` — after
+  // each step listed in opts.at (default: every step); evolution stops at
+  // the last one requested, and onProgress counts only the ops run.
+  function simulateSteps(qubitCount, steps, options) {
+    const opts = options || {};
+    const density = useDensity(opts);
+    if (density) checkDensityQubitCount(qubitCount);
+    else checkQubitCount(qubitCount);
+    const at = opts.at || steps.map((_, k) => k);
+    for (const k of at) {
+      if (!Number.isInteger(k) || k < 0 || k >= steps.length) throw new Error("step " + k + " out of range");
+    }
+    const wanted = new Set(at);
+    const last = Math.max(-1, ...at);
+    const noiseModel = opts.noise || null;
+
+    const n = qubitCount;
+    const state = initialState(n, opts.initial);
+    const rho = density ? initialDensity(n, state) : null;
+    let total = 0, done = 0;
+    for (let k = 0; k <= last; k++) total += steps[k].length;
+
+    const snapshots = [];
+    for (let k = 0; k <= last; k++) {
+      for (const op of steps[k]) {
+        if (!isMeasure(op)) {
+          applyOp(state, n, op, null);
+          if (rho) densityApplyOp(rho, n, op, noiseModel, null);
+        }
+        if (opts.onProgress) opts.onProgress(++done, total);
+      }
+      if (wanted.has(k)) {
+        const snap = rho ? densityResult(rho, state, n) : statevectorResult(state, n);
+        snap.step = k;
+        snapshots.push(snap);
+      }
+    }
+    return snapshots;
+  }
+
+  // ── shot-based sampling ───────────────────────────────────────
+  // True when no gate touches a qubit after it has been measured, so one
+  // statevector run can be sampled instead of re-simulating every shot.
+  function measurementsAreTerminal(program) {
+    const measured = new Set();
+    for (const op of program) {
+      if (isMeasure(op)) { measured.add(op.target); continue; }
+      if (opQubits(op).some(q => measured.has(q))) return false;
+    }
+    return true;
+  }
+
+  // The two backends behind `run`: fresh state, evolve, basis probabilities.
+  // psi0 is the validated initial statevector.
+  function statevectorBackend(n, psi0) {
+    return {
+      init: () => psi0.slice(),
+      evolve: (state, ops, shot) => evolve(state, n, ops, shot),
+      probability: (state, i) => state[2 * i] * state[2 * i] + state[2 * i + 1] * state[2 * i + 1],
+    };
+  }
+
+  function densityBackend(n, psi0, noiseModel) {
+    const dim = 1 << n;
+    const rho0 = initialDensity(n, psi0);
+    return {
+      init: () => rho0.slice(),
+      evolve: (rho, ops, shot) => evolveDensity(rho, n, ops, noiseModel, shot),
+      probability: (rho, i) => rho[2 * (i * dim + i)],
+    };
+  }
+
+  function run(qubitCount, program, options) {
+    const opts = options || {};
+    if (useDensity(opts)) checkDensityQubitCount(qubitCount);
+    else checkQubitCount(qubitCount);
+    const psi0 = initialState(qubitCount, opts.initial);
+    const backend = useDensity(opts)
+      ? densityBackend(qubitCount, psi0, opts.noise || null)
+      : statevectorBackend(qubitCount, psi0);
+    const shots = opts.shots == null ? 1024 : opts.shots;
+    if (!Number.isInteger(shots) || shots < 1) throw new Error("shots must be a positive integer");
+
+    let ops = program;
+    let measures = program.filter(isMeasure);
+    if (measures.length === 0) {
+      measures = Array.from({ length: qubitCount }, (_, q) => ({ gate: "measure", target: q, cbit: q }));
+      ops = program.concat(measures);
+    }
+    const clbitCount = Math.max(...measures.map(cbitOf)) + 1;
+    const rng = makeRng(opts.seed);
+    const counts = {};
+    const record = (clbits) => {
+      let key = "";
+      for (let c = clbitCount - 1; c >= 0; c--) key += clbits[c];
+      counts[key] = (counts[key] || 0) + 1;
+    };
+
+    if (measurementsAreTerminal(ops)) {
+      const dim = 1 << qubitCount;
+      const state = backend.init();
+      backend.evolve(state, ops.filter(op => !isMeasure(op)), null);
+      const cdf = new Float64Array(dim);
+      let acc = 0;
+      for (let i = 0; i < dim; i++) {
+        acc += backend.probability(state, i);
+        cdf[i] = acc;
+      }
+      const readoutShot = { rng, noise: opts.noise || null };
+      for (let s = 0; s < shots; s++) {
+        const r = rng() * acc;
+        let lo = 0, hi = dim - 1;
+        while (lo < hi) {
+          const mid = (lo + hi) >> 1;
+          if (cdf[mid] > r) hi = mid; else lo = mid + 1;
+        }
+        const clbits = new Array(clbitCount).fill(0);
+        for (const m of measures) clbits[cbitOf(m)] = readout((lo >> m.target) & 1, m.target, readoutShot);
+        record(clbits);
+      }
+    } else {
+      for (let s = 0; s < shots; s++) {
+        const state = backend.init();
+        const shot = { rng, noise: opts.noise || null, clbits: new Array(clbitCount).fill(0) };
+        backend.evolve(state, ops, shot);
+        record(shot.clbits);
+      }
+    }
+
+    return { qubit_count: qubitCount, shots, clbit_count: clbitCount, counts };
   }
 
   function round8(v) { return Math.round(v * 1e8) / 1e8; }
 
   // public API
-  return { simulate };
+  return {
+    MAX_QUBITS, DENSITY_MAX_QUBITS, UNITARY_MAX_QUBITS,
+    simulate, simulateSteps, run, unitary, blochVectors, noise,
+    defineGate, removeGate, listGates, setGates,
+    parsePauliSum, pauliExpectation, expectation,
+  };
 })();
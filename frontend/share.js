@@ -0,0 +1,86 @@
+/**
+ * share.js — Circuits in shareable URLs
+ * Packs any JSON value into a URL-fragment-safe string: deflate-raw
+ * compressed and base64url-encoded where the browser has
+ * CompressionStream, plain base64url JSON otherwise. A one-letter prefix
+ * records which ("z." or "j."), so either form decodes anywhere that can
+ * decompress.
+ *
+ * Usage:
+ *   const url = await QShare.link(doc);             // location without hash + "#circuit=…"
+ *   const doc = await QShare.fromHash(location.hash);   // null when no circuit is in it
+ *   await QShare.encode(doc);  await QShare.decode(text);
+ *
+ * decode / fromHash reject with an Error when the text is damaged
+ * (e.g. truncated by a chat client).
+ */
+
+var QShare = (function () {
+  "use strict";
+
+  const HASH_KEY = "circuit";
+  const COMPRESSED = "z.";
+  const PLAIN = "j.";
+
+  // ── base64url ─────────────────────────────────────────────────
+  function toBase64Url(bytes) {
+    let bin = "";
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      bin += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  }
+
+  function fromBase64Url(text) {
+    const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+    const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  }
+
+  // ── compression ───────────────────────────────────────────────
+  const canCompress = typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+
+  function pipe(bytes, stream) {
+    const out = new Blob([bytes]).stream().pipeThrough(stream);
+    return new Response(out).arrayBuffer().then(buf => new Uint8Array(buf));
+  }
+
+  // ── public API ────────────────────────────────────────────────
+  async function encode(value) {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    if (!canCompress) return PLAIN + toBase64Url(bytes);
+    return COMPRESSED + toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")));
+  }
+
+  async function decode(text) {
+    const prefix = text.slice(0, 2);
+    let bytes;
+    try {
+      bytes = fromBase64Url(text.slice(2));
+      if (prefix === COMPRESSED) {
+        if (!canCompress) throw new Error("this browser can't decompress shared circuits");
+        bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+      } else if (prefix !== PLAIN) {
+        throw new Error("unknown format");
+      }
+      return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+      throw new Error("The shared circuit link is damaged or incomplete (" + e.message + ")");
+    }
+  }
+
+  async function link(value) {
+    const base = location.href.split("#")[0];
+    return base + "#" + HASH_KEY + "=" + (await encode(value));
+  }
+
+  function fromHash(hash) {
+    const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+    const text = params.get(HASH_KEY);
+    return text ? decode(text) : Promise.resolve(null);
+  }
+
+  return { encode, decode, link, fromHash };
+})();
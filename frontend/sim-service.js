@@ -0,0 +1,204 @@
+/**
+ * sim-service.js — Off-main-thread simulation service
+ * Runs QSim jobs in a Web Worker (sim-worker.js) behind a promise API,
+ * with per-gate progress and cancellation. Falls back to running QSim
+ * on the main thread where workers are unavailable (e.g. file:// pages).
+ *
+ * Usage:
+ *   SimService.simulate(qubitCount, program, { shots, seed, noise, initial, onProgress })
+ *     .then(result => …)            // QSim.simulate result, plus counts/shots/
+ *                                   // clbit_count/mid_circuit_measurement
+ *                                   // when the program measures
+ *                                   // (noise, initial: see quantum-sim.js)
+ *     .catch(e => { if (e.cancelled) … });
+ *   SimService.simulateSteps(qubitCount, steps, { at, noise, initial, onProgress })
+ *     .then(snapshots => …)         // QSim.simulateSteps result
+ *   SimService.unitary(qubitCount, program, { upToGlobalPhase })
+ *     .then(({ matrix }) => …)      // QSim.unitary result
+ *   SimService.expectation(qubitCount, program, ["ZZ", "0.5*XI"], { noise, initial })
+ *     .then(values => …)            // QSim.expectation result
+ *   SimService.cancel();            // rejects the simulate/steps job in flight
+ *   SimService.cancel(promise.id);  // rejects that job, if still running
+ *
+ * Simulations and step snapshots share one lane; unitaries and
+ * expectation values each have their own, so they never cancel a
+ * simulation. Within a lane one job runs at a time: starting a new one
+ * cancels the previous. Every returned promise carries the job's `id`.
+ * Gates registered with QSim.defineGate are sent along with every job.
+ */
+
+var SimService = (function () {
+  "use strict";
+
+  const WORKER_URL = "sim-worker.js";
+
+  // ── job execution (shared by the worker and the fallback) ──────
+  function execute(job, onProgress) {
+    // The worker has its own QSim, so custom gates travel with each job.
+    if (job.gates) QSim.setGates(job.gates);
+    const noise = job.noise || undefined;
+    const initial = job.initial || undefined;
+    if (job.unitary) return QSim.unitary(job.qubitCount, job.program, { upToGlobalPhase: job.upToGlobalPhase });
+    if (job.observables) return QSim.expectation(job.qubitCount, job.program, job.observables, { noise, initial });
+    if (job.steps) return QSim.simulateSteps(job.qubitCount, job.steps, { at: job.at, noise, initial, onProgress });
+    const result = QSim.simulate(job.qubitCount, job.program, { noise, initial, onProgress });
+    if (job.program.some(op => op.gate === "measure")) {
+      const sample = QSim.run(job.qubitCount, job.program, { shots: job.shots, seed: job.seed, noise, initial });
+      result.counts = sample.counts;
+      result.shots = sample.shots;
+      result.clbit_count = sample.clbit_count;
+      result.mid_circuit_measurement = measuresMidCircuit(job.program);
+    }
+    return result;
+  }
+
+  // True when a gate acts on a qubit after it was measured. The exact
+  // results skip measurements, so then they no longer match the counts.
+  const OP_QUBITS = ["target", "target2", "control", "control1", "control2"];
+  function measuresMidCircuit(program) {
+    const measured = new Set();
+    return program.some(op => {
+      if (op.gate === "measure") { measured.add(op.target); return false; }
+      return OP_QUBITS.some(f => op[f] != null && measured.has(op[f]));
+    });
+  }
+
+  function cancelledError() {
+    const e = new Error("Simulation cancelled");
+    e.cancelled = true;
+    return e;
+  }
+
+  // ── lanes ─────────────────────────────────────────────────────
+  // A lane owns one worker and runs one job at a time.
+  let nextId = 1;
+
+  function createLane() {
+    let worker = null;
+    let workerBroken = false;
+    let current = null; // { id, payload, resolve, reject, onProgress }
+
+    function getWorker() {
+      if (worker || workerBroken) return worker;
+      if (typeof Worker === "undefined") { workerBroken = true; return null; }
+      try {
+        worker = new Worker(WORKER_URL);
+      } catch (e) {
+        workerBroken = true;
+        return null;
+      }
+      worker.onmessage = (ev) => {
+        const msg = ev.data;
+        if (!current || msg.id !== current.id) return; // stale message from a cancelled job
+        if (msg.type === "progress") {
+          if (current.onProgress) current.onProgress(msg.done, msg.total);
+          return;
+        }
+        const job = current;
+        current = null;
+        if (msg.type === "result") job.resolve(msg.result);
+        else job.reject(new Error(msg.message));
+      };
+      worker.onerror = (ev) => {
+        // The worker script failed to load or threw outside a job:
+        // stop using workers and finish the pending job inline.
+        if (ev.preventDefault) ev.preventDefault();
+        terminate();
+        workerBroken = true;
+        if (current) runInline(current);
+      };
+      return worker;
+    }
+
+    function terminate() {
+      if (!worker) return;
+      worker.terminate();
+      worker = null;
+    }
+
+    // Main-thread fallback, deferred so callers can render their loading
+    // state first.
+    function runInline(job) {
+      setTimeout(() => {
+        if (current !== job) return; // cancelled before it started
+        let result;
+        try {
+          result = execute(job.payload, job.onProgress);
+        } catch (e) {
+          if (current === job) { current = null; job.reject(e); }
+          return;
+        }
+        if (current === job) { current = null; job.resolve(result); }
+      }, 0);
+    }
+
+    function start(payload, onProgress) {
+      cancel();
+      payload.gates = QSim.listGates();
+      const job = { id: nextId++, payload, onProgress };
+      const promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+      });
+      promise.id = job.id;
+      current = job;
+      const w = getWorker();
+      if (w) w.postMessage(Object.assign({ id: job.id }, job.payload));
+      else runInline(job);
+      return promise;
+    }
+
+    // A running QSim loop can't be interrupted, so cancelling a worker job
+    // terminates the worker; the next job starts a fresh one.
+    function cancel(id) {
+      if (!current || (id != null && current.id !== id)) return false;
+      const job = current;
+      current = null;
+      terminate();
+      job.reject(cancelledError());
+      return true;
+    }
+
+    return { start, cancel, isBusy: () => current !== null };
+  }
+
+  const lanes = { simulate: createLane(), unitary: createLane(), expectation: createLane() };
+
+  // ── public API ────────────────────────────────────────────────
+  function simulate(qubitCount, program, options) {
+    const opts = options || {};
+    return lanes.simulate.start({
+      qubitCount, program, shots: opts.shots, seed: opts.seed,
+      noise: opts.noise || null, initial: opts.initial || null,
+    }, opts.onProgress);
+  }
+
+  function simulateSteps(qubitCount, steps, options) {
+    const opts = options || {};
+    return lanes.simulate.start({
+      qubitCount, steps, at: opts.at, noise: opts.noise || null, initial: opts.initial || null,
+    }, opts.onProgress);
+  }
+
+  function unitary(qubitCount, program, options) {
+    const opts = options || {};
+    return lanes.unitary.start({ qubitCount, program, unitary: true, upToGlobalPhase: !!opts.upToGlobalPhase });
+  }
+
+  function expectation(qubitCount, program, observables, options) {
+    const opts = options || {};
+    return lanes.expectation.start({
+      qubitCount, program, observables, noise: opts.noise || null, initial: opts.initial || null,
+    });
+  }
+
+  // Without an id, cancels the simulate/steps job.
+  function cancel(id) {
+    if (id == null) return lanes.simulate.cancel();
+    return Object.values(lanes).some(lane => lane.cancel(id));
+  }
+
+  function isBusy() { return lanes.simulate.isBusy(); }
+
+  return { simulate, simulateSteps, unitary, expectation, cancel, isBusy, execute };
+})();
@@ -0,0 +1,25 @@
+/**
+ * sim-worker.js — Web Worker entry point for SimService
+ * Receives { id, qubitCount, program, shots, seed, noise, initial }
+ * (or { id, qubitCount, steps, at, noise, initial } for snapshots, or
+ * { id, qubitCount, program, unitary: true, upToGlobalPhase } for
+ * QSim.unitary, or { id, qubitCount, program, observables, noise, initial }
+ * for QSim.expectation), each with `gates` (QSim.listGates() definitions to
+ * register first), and replies with
+ * { id, type: "progress", done, total } per op, then a single
+ * { id, type: "result", result } or { id, type: "error", message }.
+ */
+
+importScripts("quantum-sim.js", "sim-service.js");
+
+self.onmessage = function (ev) {
+  const job = ev.data;
+  try {
+    const result = SimService.execute(job, (done, total) => {
+      self.postMessage({ id: job.id, type: "progress", done, total });
+    });
+    self.postMessage({ id: job.id, type: "result", result });
+  } catch (e) {
+    self.postMessage({ id: job.id, type: "error", message: e.message });
+  }
+};
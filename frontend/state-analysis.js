@@ -0,0 +1,308 @@
+/**
+ * state-analysis.js — Entanglement measures for pure states
+ * Works on the [{re, im}] statevector returned by QSim.simulate
+ * (bit i of a basis index is qubit i).
+ *
+ * Usage:
+ *   QAnalysis.entropies(statevector)          // [S(ρ_q) in bits, one per qubit]
+ *   QAnalysis.concurrence(statevector, 0, 1)  // Wootters concurrence of ρ_01
+ *   QAnalysis.concurrenceMatrix(statevector)  // n×n, symmetric, zero diagonal
+ *   QAnalysis.schmidt(statevector, [0])       // cut {q0} | {rest}
+ *   // → { coefficients:[s_k], rank, entropy, terms:[{ coef, a, b }] }
+ *   QAnalysis.isProduct(statevector)          // true iff no qubit is entangled
+ *
+ * Schmidt terms give ψ = Σ coef_k · a_k ⊗ b_k, where a_k lists amplitudes
+ * over the chosen qubits and b_k over the others (local bit j = j-th
+ * qubit of that side, ascending). The eigen-solver is dense, so the
+ * smaller side of a cut may hold at most SCHMIDT_MAX_QUBITS qubits.
+ */
+
+var QAnalysis = (function () {
+  "use strict";
+
+  const SCHMIDT_MAX_QUBITS = 7;
+  const EPS = 1e-10;
+
+  // ── statevector helpers ───────────────────────────────────────
+  function toState(statevector) {
+    const n = Math.log2(statevector.length);
+    if (!Number.isInteger(n) || n < 1) throw new Error("statevector length must be a power of two ≥ 2");
+    const state = new Float64Array(statevector.length * 2);
+    statevector.forEach((a, i) => { state[2 * i] = a.re; state[2 * i + 1] = a.im; });
+    return { state, n };
+  }
+
+  // offsets[a] = basis index with the listed qubits set to the bits of a
+  function spreadOffsets(qubits) {
+    const offsets = new Array(1 << qubits.length);
+    for (let a = 0; a < offsets.length; a++) {
+      let idx = 0;
+      for (let j = 0; j < qubits.length; j++) if (a & (1 << j)) idx |= 1 << qubits[j];
+      offsets[a] = idx;
+    }
+    return offsets;
+  }
+
+  function complement(n, qubits) {
+    const rest = [];
+    for (let q = 0; q < n; q++) if (!qubits.includes(q)) rest.push(q);
+    return rest;
+  }
+
+  // ρ_Q = Tr_{others} |ψ⟩⟨ψ| as a d×d complex matrix { d, re, im }.
+  function reducedDensity(state, n, qubits) {
+    const d = 1 << qubits.length;
+    const re = new Float64Array(d * d), im = new Float64Array(d * d);
+    const inner = spreadOffsets(qubits);
+    const outer = spreadOffsets(complement(n, qubits));
+    for (const base of outer) {
+      for (let a = 0; a < d; a++) {
+        const ia = 2 * (base + inner[a]);
+        const ar = state[ia], ai = state[ia + 1];
+        if (ar === 0 && ai === 0) continue;
+        for (let b = 0; b < d; b++) {
+          const ib = 2 * (base + inner[b]);
+          const br = state[ib], bi = state[ib + 1];
+          // ψ_a · conj(ψ_b)
+          re[a * d + b] += ar * br + ai * bi;
+          im[a * d + b] += ai * br - ar * bi;
+        }
+      }
+    }
+    return { d, re, im };
+  }
+
+  // ── linear algebra ────────────────────────────────────────────
+  // Cyclic Jacobi for a real symmetric m×m matrix (row-major, destroyed).
+  // Returns eigenvalues and the eigenvectors as columns of V.
+  function symmetricEigen(A, m) {
+    const V = new Float64Array(m * m);
+    for (let i = 0; i < m; i++) V[i * m + i] = 1;
+    for (let sweep = 0; sweep < 60; sweep++) {
+      let off = 0;
+      for (let p = 0; p < m; p++) for (let q = p + 1; q < m; q++) off += A[p * m + q] * A[p * m + q];
+      if (off < 1e-22) break;
+      for (let p = 0; p < m; p++) {
+        for (let q = p + 1; q < m; q++) {
+          const apq = A[p * m + q];
+          if (Math.abs(apq) < 1e-300) continue;
+          const theta = (A[q * m + q] - A[p * m + p]) / (2 * apq);
+          const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+          const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+          for (let k = 0; k < m; k++) {
+            const akp = A[k * m + p], akq = A[k * m + q];
+            A[k * m + p] = c * akp - s * akq;
+            A[k * m + q] = s * akp + c * akq;
+          }
+          for (let k = 0; k < m; k++) {
+            const apk = A[p * m + k], aqk = A[q * m + k];
+            A[p * m + k] = c * apk - s * aqk;
+            A[q * m + k] = s * apk + c * aqk;
+          }
+          for (let k = 0; k < m; k++) {
+            const vkp = V[k * m + p], vkq = V[k * m + q];
+            V[k * m + p] = c * vkp - s * vkq;
+            V[k * m + q] = s * vkp + c * vkq;
+          }
+        }
+      }
+    }
+    const values = [];
+    for (let i = 0; i < m; i++) values.push(A[i * m + i]);
+    return { values, V };
+  }
+
+  // Hermitian H = X + iY via the real embedding [[X, −Y], [Y, X]]: each
+  // eigenvalue appears twice, and an eigenvector [u; v] maps to u + iv.
+  // Degenerate pairs are untangled by Gram–Schmidt. Values descending.
+  function hermitianEigen(H) {
+    const d = H.d, m = 2 * d;
+    const A = new Float64Array(m * m);
+    for (let i = 0; i < d; i++) {
+      for (let j = 0; j < d; j++) {
+        const x = H.re[i * d + j], y = H.im[i * d + j];
+        A[i * m + j] = x;           A[i * m + j + d] = -y;
+        A[(i + d) * m + j] = y;     A[(i + d) * m + j + d] = x;
+      }
+    }
+    const { values, V } = symmetricEigen(A, m);
+    const order = values.map((_, k) => k).sort((a, b) => values[b] - values[a]);
+    const outValues = [], vectors = [];
+    for (const k of order) {
+      if (vectors.length === d) break;
+      const re = new Float64Array(d), im = new Float64Array(d);
+      for (let i = 0; i < d; i++) { re[i] = V[i * m + k]; im[i] = V[(i + d) * m + k]; }
+      for (const w of vectors) {
+        // w†·v
+        let pr = 0, pi = 0;
+        for (let i = 0; i < d; i++) {
+          pr += w.re[i] * re[i] + w.im[i] * im[i];
+          pi += w.re[i] * im[i] - w.im[i] * re[i];
+        }
+        for (let i = 0; i < d; i++) {
+          re[i] -= pr * w.re[i] - pi * w.im[i];
+          im[i] -= pr * w.im[i] + pi * w.re[i];
+        }
+      }
+      let norm = 0;
+      for (let i = 0; i < d; i++) norm += re[i] * re[i] + im[i] * im[i];
+      if (norm < 1e-6) continue; // the embedding's twin of a vector we have
+      norm = Math.sqrt(norm);
+      for (let i = 0; i < d; i++) { re[i] /= norm; im[i] /= norm; }
+      outValues.push(values[k]);
+      vectors.push({ re, im });
+    }
+    return { values: outValues, vectors };
+  }
+
+  function matMul(A, B) {
+    const d = A.d;
+    const re = new Float64Array(d * d), im = new Float64Array(d * d);
+    for (let i = 0; i < d; i++) {
+      for (let k = 0; k < d; k++) {
+        const ar = A.re[i * d + k], ai = A.im[i * d + k];
+        for (let j = 0; j < d; j++) {
+          const br = B.re[k * d + j], bi = B.im[k * d + j];
+          re[i * d + j] += ar * br - ai * bi;
+          im[i * d + j] += ar * bi + ai * br;
+        }
+      }
+    }
+    return { d, re, im };
+  }
+
+  // √H for positive semidefinite H
+  function hermitianSqrt(H) {
+    const d = H.d;
+    const { values, vectors } = hermitianEigen(H);
+    const re = new Float64Array(d * d), im = new Float64Array(d * d);
+    values.forEach((lambda, k) => {
+      const s = Math.sqrt(Math.max(lambda, 0));
+      const w = vectors[k];
+      for (let i = 0; i < d; i++) {
+        for (let j = 0; j < d; j++) {
+          // s · w_i · conj(w_j)
+          re[i * d + j] += s * (w.re[i] * w.re[j] + w.im[i] * w.im[j]);
+          im[i * d + j] += s * (w.im[i] * w.re[j] - w.re[i] * w.im[j]);
+        }
+      }
+    });
+    return { d, re, im };
+  }
+
+  function vonNeumann(eigenvalues) {
+    let s = 0;
+    for (const p of eigenvalues) if (p > EPS) s -= p * Math.log2(p);
+    return Math.max(0, s); // eigenvalues a hair above 1 would give −0.00…
+  }
+
+  // ── measures ──────────────────────────────────────────────────
+  function entropies(statevector) {
+    const { state, n } = toState(statevector);
+    const out = [];
+    for (let q = 0; q < n; q++) out.push(round8(vonNeumann(hermitianEigen(reducedDensity(state, n, [q])).values)));
+    return out;
+  }
+
+  function checkQubit(n, q) {
+    if (!Number.isInteger(q) || q < 0 || q >= n) throw new Error("qubit " + q + " out of range");
+  }
+
+  // C(ρ) = max(0, λ1 − λ2 − λ3 − λ4), λ the descending square roots of
+  // the eigenvalues of √ρ ρ̃ √ρ with ρ̃ = (Y⊗Y) ρ* (Y⊗Y).
+  function pairConcurrence(state, n, i, j) {
+    const rho = reducedDensity(state, n, [i, j]);
+    const sign = [-1, 1, 1, -1];
+    const tilde = { d: 4, re: new Float64Array(16), im: new Float64Array(16) };
+    for (let a = 0; a < 4; a++) {
+      for (let b = 0; b < 4; b++) {
+        const k = (3 - a) * 4 + (3 - b);
+        tilde.re[a * 4 + b] = sign[a] * sign[b] * rho.re[k];
+        tilde.im[a * 4 + b] = -sign[a] * sign[b] * rho.im[k];
+      }
+    }
+    const root = hermitianSqrt(rho);
+    const lambdas = hermitianEigen(matMul(matMul(root, tilde), root)).values
+      .map(v => Math.sqrt(Math.max(v, 0)))
+      .sort((a, b) => b - a);
+    return round8(Math.max(0, lambdas[0] - lambdas[1] - lambdas[2] - lambdas[3]));
+  }
+
+  function concurrence(statevector, i, j) {
+    const { state, n } = toState(statevector);
+    checkQubit(n, i);
+    checkQubit(n, j);
+    if (i === j) throw new Error("concurrence needs two different qubits");
+    return pairConcurrence(state, n, i, j);
+  }
+
+  function concurrenceMatrix(statevector) {
+    const { state, n } = toState(statevector);
+    const out = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) out[i][j] = out[j][i] = pairConcurrence(state, n, i, j);
+    }
+    return out;
+  }
+
+  // ── Schmidt decomposition ─────────────────────────────────────
+  // The eigenvectors u_k of the smaller side's ρ are its Schmidt vectors;
+  // the partners are v_k = (Σ_a conj(u_k[a]) ψ[a, ·]) / s_k.
+  function schmidt(statevector, qubitsA) {
+    const { state, n } = toState(statevector);
+    const A = Array.from(new Set(qubitsA)).sort((a, b) => a - b);
+    A.forEach(q => checkQubit(n, q));
+    if (A.length === 0 || A.length === n) throw new Error("each side of the cut needs at least one qubit");
+    const B = complement(n, A);
+    const swap = B.length < A.length;
+    const small = swap ? B : A, large = swap ? A : B;
+    if (small.length > SCHMIDT_MAX_QUBITS) {
+      throw new Error("Schmidt decomposition needs a cut with at most " + SCHMIDT_MAX_QUBITS + " qubits on one side");
+    }
+
+    const { values, vectors } = hermitianEigen(reducedDensity(state, n, small));
+    const smallOff = spreadOffsets(small), largeOff = spreadOffsets(large);
+    const terms = [];
+    values.forEach((lambda, k) => {
+      if (lambda < EPS) return;
+      const s = Math.sqrt(lambda);
+      const u = vectors[k];
+      const vRe = new Float64Array(largeOff.length), vIm = new Float64Array(largeOff.length);
+      for (let b = 0; b < largeOff.length; b++) {
+        let re = 0, im = 0;
+        for (let a = 0; a < smallOff.length; a++) {
+          const idx = 2 * (smallOff[a] + largeOff[b]);
+          const pr = state[idx], pi = state[idx + 1];
+          re += u.re[a] * pr + u.im[a] * pi;
+          im += u.re[a] * pi - u.im[a] * pr;
+        }
+        vRe[b] = re / s;
+        vIm[b] = im / s;
+      }
+      const uVec = toAmplitudes(u.re, u.im), vVec = toAmplitudes(vRe, vIm);
+      terms.push({ coef: round8(s), a: swap ? vVec : uVec, b: swap ? uVec : vVec });
+    });
+    const coefficients = terms.map(t => t.coef);
+    return {
+      qubitsA: A, qubitsB: B,
+      coefficients, rank: terms.length,
+      entropy: round8(vonNeumann(coefficients.map(c => c * c))),
+      terms,
+    };
+  }
+
+  function toAmplitudes(re, im) {
+    return Array.from(re, (r, i) => ({ re: round8(r), im: round8(im[i]) }));
+  }
+
+  // A pure state is a full product state iff every single-qubit
+  // marginal is pure.
+  function isProduct(statevector) {
+    return entropies(statevector).every(s => s < 1e-6);
+  }
+
+  function round8(v) { return Math.round(v * 1e8) / 1e8; }
+
+  // public API
+  return { SCHMIDT_MAX_QUBITS, entropies, concurrence, concurrenceMatrix, schmidt, isProduct };
+})();
@@ -4,7 +4,7 @@ from __future__ import annotations
 
 import math
 from pathlib import Path
-from typing import Any, Dict, List, Optional
+from typing import Any, Dict, List, Optional, Union
 
 from fastapi import FastAPI, HTTPException
 from fastapi.middleware.cors import CORSMiddleware
@@ -12,17 +12,24 @@ from fastapi.responses import FileResponse
 from fastapi.staticfiles import StaticFiles
 
 FRONTEND_DIR = Path(__file__).resolve().parent / "frontend"
-from pydantic import BaseModel, validator
+from pydantic import BaseModel, Field, root_validator, validator
 
 from qiskit import QuantumCircuit
 from qiskit.quantum_info import Statevector
 
 # ── Pydantic models ────────────────────────────────────────────────
 
-ALLOWED_GATES = {"h", "x", "y", "z", "s", "t", "cx", "ccx", "rx", "ry", "rz"}
+SINGLE_GATES = {"h", "x", "y", "z", "s", "t", "sdg", "tdg", "sx"}
 ROTATION_GATES = {"rx", "ry", "rz"}
-MAX_QUBITS = 4
-MAX_GATES_PER_WIRE = 10
+# Two-qubit controlled gates: control + target (+ angle for crx/cry/crz/cp)
+CONTROLLED_GATES = {"cx", "cy", "cz", "ch", "crx", "cry", "crz", "cp"}
+ANGLE_GATES = ROTATION_GATES | {"crx", "cry", "crz", "cp"}
+ALLOWED_GATES = SINGLE_GATES | ROTATION_GATES | CONTROLLED_GATES | {"u3", "swap", "ccx", "measure"}
+MAX_QUBITS = 20
+# The composer grid grows with the circuit; this only bounds request size.
+MAX_GATES_PER_WIRE = 1000
+# Per-wire input states → Qiskit Statevector.from_label characters
+WIRE_STATE_LABELS = {"0": "0", "1": "1", "+": "+", "-": "-", "i": "r", "-i": "l"}
 
 
 class GateOp(BaseModel):
@@ -31,7 +38,12 @@ class GateOp(BaseModel):
     control: Optional[int] = None
     control1: Optional[int] = None
     control2: Optional[int] = None
+    target2: Optional[int] = None
     angle: Optional[float] = None
+    theta: Optional[float] = None
+    phi: Optional[float] = None
+    lambda_: Optional[float] = Field(None, alias="lambda")
+    cbit: Optional[int] = None
 
     @validator("gate")
     def gate_must_be_allowed(cls, v: str) -> str:
@@ -40,20 +52,37 @@ class GateOp(BaseModel):
             raise ValueError(f"unsupported gate '{v}'")
         return v
 
-    @validator("angle")
-    def angle_must_be_finite(cls, v: Optional[float], values: dict) -> Optional[float]:
-        gate = values.get("gate", "")
-        if gate in ROTATION_GATES:
+    # A root validator, as field validators skip fields left at None.
+    @root_validator(skip_on_failure=True)
+    def angles_must_be_finite(cls, values: dict) -> dict:
+        gate = values.get("gate")
+        if gate in ANGLE_GATES:
+            fields = (("angle", "angle"),)
+        elif gate == "u3":
+            fields = (("theta", "theta"), ("phi", "phi"), ("lambda", "lambda_"))
+        else:
+            return values
+        for name, key in fields:
+            v = values.get(key)
             if v is None:
-                raise ValueError(f"{gate} requires an 'angle' field")
+                article = "an" if name[0] in "aeiou" else "a"
+                raise ValueError(f"{gate} requires {article} '{name}' field")
             if not math.isfinite(v):
-                raise ValueError("angle must be finite")
-        return v
+                raise ValueError(f"{name} must be finite")
+        return values
+
+
+class Amplitude(BaseModel):
+    re: float
+    im: float = 0.0
 
 
 class SimulateRequest(BaseModel):
     qubit_count: int
     program: List[GateOp]
+    # One wire label per qubit ("0", "1", "+", "-", "i", "-i") or 2^n
+    # normalized amplitudes; omitted means |0…0⟩.
+    initial_state: Optional[Union[List[Amplitude], List[str]]] = None
 
     @validator("qubit_count")
     def qubit_count_in_range(cls, v: int) -> int:
@@ -61,6 +90,25 @@ class SimulateRequest(BaseModel):
             raise ValueError(f"qubit_count must be between 1 and {MAX_QUBITS}")
         return v
 
+    @validator("initial_state")
+    def initial_state_matches(cls, v, values: dict):
+        n = values.get("qubit_count")
+        if v is None or n is None:
+            return v
+        if all(isinstance(a, str) for a in v):
+            if len(v) != n:
+                raise ValueError(f"initial_state needs {n} wire labels")
+            for q, label in enumerate(v):
+                if label not in WIRE_STATE_LABELS:
+                    raise ValueError(f"unknown initial state '{label}' on qubit {q}")
+            return v
+        if len(v) != 1 << n:
+            raise ValueError(f"initial_state needs {1 << n} amplitudes")
+        norm = sum(a.re * a.re + a.im * a.im for a in v)
+        if abs(norm - 1) > 1e-6:
+            raise ValueError("initial_state amplitudes must be normalized")
+        return v
+
 
 # ── FastAPI app ────────────────────────────────────────────────────
 
@@ -95,7 +143,7 @@ def build_circuit(req: SimulateRequest) -> QuantumCircuit:
         gate = op.gate  # already lowercased by validator
 
         # ── single-qubit gates ──────────────────────────────────
-        if gate in {"h", "x", "y", "z", "s", "t"} | ROTATION_GATES:
+        if gate in SINGLE_GATES | ROTATION_GATES | {"u3"}:
             _check(op.target, n, "target", i)
 
             if gate == "h":
@@ -110,6 +158,14 @@ def build_circuit(req: SimulateRequest) -> QuantumCircuit:
                 qc.s(op.target)
             elif gate == "t":
                 qc.t(op.target)
+            elif gate == "sdg":
+                qc.sdg(op.target)
+            elif gate == "tdg":
+                qc.tdg(op.target)
+            elif gate == "sx":
+                qc.sx(op.target)
+            elif gate == "u3":
+                qc.u(op.theta, op.phi, op.lambda_, op.target)
             elif gate == "rx":
                 qc.rx(op.angle, op.target)
             elif gate == "ry":
@@ -119,18 +175,34 @@ def build_circuit(req: SimulateRequest) -> QuantumCircuit:
 
             wire_counts[op.target] += 1
 
-        # ── CX (CNOT) ──────────────────────────────────────────
-        elif gate == "cx":
+        # ── controlled two-qubit gates (CX, CY, CZ, CH, CRx…, CP) ─
+        elif gate in CONTROLLED_GATES:
             if op.control is None:
-                raise HTTPException(400, f"cx requires 'control' (step {i})")
+                raise HTTPException(400, f"{gate} requires 'control' (step {i})")
             _check(op.control, n, "control", i)
             _check(op.target, n, "target", i)
             if op.control == op.target:
-                raise HTTPException(400, f"cx control and target must differ (step {i})")
-            qc.cx(op.control, op.target)
+                raise HTTPException(400, f"{gate} control and target must differ (step {i})")
+            # QuantumCircuit methods share the gate names
+            if gate in ANGLE_GATES:
+                getattr(qc, gate)(op.angle, op.control, op.target)
+            else:
+                getattr(qc, gate)(op.control, op.target)
             wire_counts[op.control] += 1
             wire_counts[op.target] += 1
 
+        # ── SWAP ───────────────────────────────────────────────
+        elif gate == "swap":
+            if op.target2 is None:
+                raise HTTPException(400, f"swap requires 'target2' (step {i})")
+            _check(op.target, n, "target", i)
+            _check(op.target2, n, "target2", i)
+            if op.target == op.target2:
+                raise HTTPException(400, f"swap qubits must differ (step {i})")
+            qc.swap(op.target, op.target2)
+            wire_counts[op.target] += 1
+            wire_counts[op.target2] += 1
+
         # ── CCX (Toffoli) ──────────────────────────────────────
         elif gate == "ccx":
             if op.control1 is None or op.control2 is None:
@@ -144,6 +216,15 @@ def build_circuit(req: SimulateRequest) -> QuantumCircuit:
             wire_counts[op.control2] += 1
             wire_counts[op.target] += 1
 
+        # ── measurement ────────────────────────────────────────
+        # The statevector is reported before measurement, matching the
+        # client's QSim.simulate; sampling happens client-side.
+        elif gate == "measure":
+            _check(op.target, n, "target", i)
+            if op.cbit is not None and op.cbit < 0:
+                raise HTTPException(400, f"measure cbit must be non-negative (step {i})")
+            wire_counts[op.target] += 1
+
         # ── per-wire cap ────────────────────────────────────────
         for q, cnt in enumerate(wire_counts):
             if cnt > MAX_GATES_PER_WIRE:
@@ -152,12 +233,23 @@ def build_circuit(req: SimulateRequest) -> QuantumCircuit:
     return qc
 
 
+def initial_statevector(req: SimulateRequest) -> Statevector:
+    n = req.qubit_count
+    init = req.initial_state
+    if not init:
+        return Statevector.from_label("0" * n)
+    if isinstance(init[0], str):
+        # Qiskit labels put qubit n-1 first
+        return Statevector.from_label("".join(WIRE_STATE_LABELS[l] for l in reversed(init)))
+    return Statevector([complex(a.re, a.im) for a in init])
+
+
 # ── Endpoint ───────────────────────────────────────────────────────
 
 @app.post("/simulate")
 def simulate(req: SimulateRequest):
     qc = build_circuit(req)
-    sv = Statevector.from_instruction(qc)
+    sv = initial_statevector(req).evolve(qc)
 
     statevector = []
     probabilities = []